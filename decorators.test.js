@@ -371,4 +371,1139 @@ describe('Complete Universal Decorators with @ syntax', () => {
     
     expect(loggedAdd(1, 2)).toBe(3);
   });
+
+  it('should expire @super_cache() entries and serve stale values while revalidating', async () => {
+    let version = 0;
+
+    class ConfigService {
+      @super_cache({ ttl: 30 })
+      load(name) {
+        return `${name}@${++version}`;
+      }
+
+      @super_cache({ ttl: 30, staleWhileRevalidate: 200 })
+      quote(symbol) {
+        return `${symbol}@${++version}`;
+      }
+    }
+
+    const service = new ConfigService();
+
+    expect(service.load('app')).toBe('app@1');
+    expect(service.load('app')).toBe('app@1');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(service.load('app')).toBe('app@2');
+    expect(service.load.cache_info().expirations).toBe(1);
+
+    expect(service.quote('ACME')).toBe('ACME@3');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(service.quote('ACME')).toBe('ACME@3'); // stale, refresh scheduled
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(service.quote('ACME')).toBe('ACME@4');
+    expect(version).toBe(4);
+  });
+
+  it('should share in-flight promises and never cache rejections with @super_cache()', async () => {
+    let calls = 0;
+
+    class ApiClient {
+      @super_cache('balanced')
+      async fetchUser(id) {
+        calls++;
+        await new Promise(resolve => setTimeout(resolve, 10));
+        if (calls === 1) throw new Error('Network error');
+        return { id, calls };
+      }
+    }
+
+    const client = new ApiClient();
+
+    const [first, second] = await Promise.allSettled([client.fetchUser(1), client.fetchUser(1)]);
+    expect(first.status).toBe('rejected');
+    expect(second.status).toBe('rejected');
+    expect(calls).toBe(1);
+    expect(client.fetchUser.cache_info().currsize).toBe(0);
+
+    const results = await Promise.all([client.fetchUser(1), client.fetchUser(1)]);
+    expect(results[0]).toEqual({ id: 1, calls: 2 });
+    expect(results[1]).toBe(results[0]);
+    expect(client.fetchUser.cache_info().pending).toBe(0);
+
+    const cached = client.fetchUser(1);
+    expect(cached).toBeInstanceOf(Promise);
+    expect(await cached).toBe(results[0]);
+    expect(calls).toBe(2);
+  });
+
+  it('should use collision-safe structural keys in @super_cache()', () => {
+    const { stableKey, identityKey } = require('./index.js');
+
+    expect(stableKey([{ id: 1 }])).not.toBe(stableKey([{ id: 2 }]));
+    expect(stableKey(['a|b'])).not.toBe(stableKey(['a', 'b']));
+    expect(stableKey([{ a: 1, b: [2, 3] }])).toBe(stableKey([{ b: [2, 3], a: 1 }]));
+    expect(stableKey([new Set([1, 2])])).toBe(stableKey([new Set([2, 1])]));
+    expect(stableKey([new Map([['k', new Date(0)]])])).not.toBe(stableKey([new Map([['k', new Date(1)]])]));
+    expect(identityKey([{ id: 1 }])).not.toBe(identityKey([{ id: 1 }]));
+
+    class Repository {
+      @super_cache('balanced')
+      find(query) {
+        return `found ${query.id}`;
+      }
+
+      @super_cache({ key: query => query.id })
+      findById(query) {
+        return `found ${query.id}`;
+      }
+    }
+
+    const repo = new Repository();
+    expect(repo.find({ id: 1 })).toBe('found 1');
+    expect(repo.find({ id: 2 })).toBe('found 2');
+    expect(repo.find({ id: 1 })).toBe('found 1');
+    expect(repo.find.cache_info().hits).toBe(1);
+
+    repo.findById({ id: 7, extra: true });
+    repo.findById({ id: 7 });
+    expect(repo.findById.cache_info().hits).toBe(1);
+  });
+
+  it('should persist @super_cache() entries through a FileStore', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { FileStore, UniversalLRU } = require('./index.js');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decorators-'));
+    const file = path.join(dir, 'cache.json');
+    let computed = 0;
+    const square = x => {
+      computed++;
+      return x * x;
+    };
+
+    const store = new FileStore(file);
+    const firstRun = super_cache({ store, registry: false })(square);
+    expect(firstRun(4)).toBe(16);
+    // Writes are batched until the flush delay passes (or the process exits)
+    expect(fs.existsSync(file)).toBe(false);
+    store.flush();
+    expect(fs.existsSync(file)).toBe(true);
+
+    // A fresh store simulates a restarted worker
+    const secondRun = super_cache({ store: new FileStore(file), registry: false })(square);
+    await secondRun.cache_ready();
+    expect(secondRun(4)).toBe(16);
+    expect(computed).toBe(1);
+    expect(secondRun.cache_info().hits).toBe(1);
+
+    // Async results are reloaded as async: hits still come back as Promises after a restart
+    const asyncFile = path.join(dir, 'async-cache.json');
+    const asyncDouble = async x => x * 2;
+    const asyncFirstStore = new FileStore(asyncFile, { flushDelay: 0 });
+    await super_cache({ store: asyncFirstStore, registry: false })(asyncDouble)(2);
+    const restarted = super_cache({ store: new FileStore(asyncFile), registry: false })(asyncDouble);
+    await restarted.cache_ready();
+    const hit = restarted(2);
+    expect(hit).toBeInstanceOf(Promise);
+    await expect(hit).resolves.toBe(4);
+    expect(restarted.cache_info().hits).toBe(1);
+
+    const asyncStore = new Map();
+    const lru = new UniversalLRU(2, {
+      store: {
+        get: async key => asyncStore.get(key),
+        set: async (key, entry) => asyncStore.set(key, entry),
+        delete: async key => asyncStore.delete(key),
+        clear: async () => asyncStore.clear(),
+        entries: async () => [['preloaded', { value: 1, expires: Infinity, staleUntil: Infinity }]]
+      }
+    });
+    await lru.ready;
+    expect(lru.get('preloaded')).toBe(1);
+    lru.set('a', 2);
+    lru.set('b', 3);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect([...asyncStore.keys()]).toEqual(['a', 'b']);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should support LFU, TinyLFU and weight-bounded eviction in UniversalLRU', () => {
+    const { UniversalLRU } = require('./index.js');
+
+    const lfu = new UniversalLRU(2, { policy: 'lfu' });
+    lfu.set('hot', 1);
+    lfu.set('cold', 2);
+    lfu.get('hot');
+    lfu.get('hot');
+    lfu.get('cold');
+    lfu.set('new', 3);
+    expect(lfu.get('hot')).toBe(1);
+    expect(lfu.get('cold')).toBeUndefined();
+    expect(lfu.info().evictions.size).toBe(1);
+
+    const tiny = new UniversalLRU(1, { policy: 'tinylfu' });
+    tiny.get('popular');
+    tiny.set('popular', 'yes');
+    tiny.get('popular');
+    tiny.set('one-hit-wonder', 'no');
+    expect(tiny.get('popular')).toBe('yes');
+    expect(tiny.info().evictions.rejected).toBe(1);
+
+    const weighted = new UniversalLRU(100, { maxWeight: 10, sizeOf: value => value.length });
+    weighted.set('a', 'xxxx');
+    weighted.set('b', 'xxxx');
+    weighted.set('c', 'xxxx');
+    weighted.set('huge', 'x'.repeat(50));
+    const info = weighted.info();
+    expect(info.currsize).toBe(2);
+    expect(info.currweight).toBe(8);
+    expect(info.evictions).toEqual({ size: 0, weight: 1, rejected: 1 });
+    expect(weighted.get('a')).toBeUndefined();
+  });
+
+  it('should invalidate tagged entries across caches through the cacheRegistry', async () => {
+    const { cacheRegistry } = require('./index.js');
+    let loads = 0;
+
+    class UserService {
+      @super_cache({ name: 'UserService.profile', tags: id => `user:${id}` })
+      profile(id) {
+        loads++;
+        return { id, loads };
+      }
+
+      @super_cache({ name: 'UserService.orders', tags: id => [`user:${id}`, 'orders'] })
+      async orders(id) {
+        loads++;
+        return [`order-${id}`];
+      }
+    }
+
+    const service = new UserService();
+    service.profile(42);
+    service.profile(7);
+    await service.orders(42);
+    expect(service.profile.cache_name).toBe('UserService.profile');
+
+    expect(cacheRegistry.invalidateTag('user:42')).toBe(2);
+    expect(service.profile(7).loads).toBe(2);
+    expect(service.profile(42).loads).toBe(4);
+
+    const summary = cacheRegistry.summary();
+    expect(summary.caches['UserService.orders'].currsize).toBe(0);
+    expect(summary.totals.hits).toBeGreaterThanOrEqual(1);
+
+    cacheRegistry.clearAll();
+    expect(service.profile.cache_info().currsize).toBe(0);
+  });
+
+  it('should keep separate caches per instance with scope: "instance"', () => {
+    class Cart {
+      constructor(items) {
+        this.items = items;
+      }
+
+      @super_cache({ scope: 'instance', registry: false })
+      getTotal() {
+        return this.items.reduce((sum, price) => sum + price, 0);
+      }
+    }
+
+    const a = new Cart([1, 2]);
+    const b = new Cart([10, 20]);
+
+    expect(a.getTotal()).toBe(3);
+    expect(b.getTotal()).toBe(30);
+    expect(a.getTotal()).toBe(3);
+
+    expect(a.getTotal.cache_info(a).hits).toBe(1);
+    expect(a.getTotal.cache_info(b).hits).toBe(0);
+    expect(a.getTotal.cache_info().currsize).toBe(2);
+
+    a.getTotal.cache_clear(a);
+    expect(a.getTotal.cache_info(a).currsize).toBe(0);
+    expect(a.getTotal.cache_info(b).currsize).toBe(1);
+  });
+
+  it('should race async methods against @time_limit() and abort them', async () => {
+    let aborted = false;
+
+    class RemoteService {
+      @time_limit(30, { passSignal: true })
+      async hang(id, signal) {
+        signal.addEventListener('abort', () => { aborted = true; });
+        return new Promise(() => {});
+      }
+
+      @time_limit(30)
+      async quick() {
+        return 'fast';
+      }
+
+      @time_limit({ timeout: 30, fallback: (error, id) => `cached ${id}` })
+      async slow(id) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        return `fresh ${id}`;
+      }
+    }
+
+    const service = new RemoteService();
+
+    await expect(service.hang(1)).rejects.toThrow('exceeded time limit of 30ms');
+    expect(aborted).toBe(true);
+    expect(await service.quick()).toBe('fast');
+    expect(await service.slow(7)).toBe('cached 7');
+  });
+
+  it('should report every failure and honor retry hooks in @async_retry()', async () => {
+    const { RetryError, RateLimitError } = require('./index.js');
+    const retries = [];
+    let calls = 0;
+
+    class FlakyService {
+      @async_retry({
+        attempts: 3,
+        delay: 5,
+        exponentialBackoff: true,
+        jitter: 'full',
+        maxDelay: 8,
+        onRetry: (error, attempt, delay) => retries.push({ attempt, delay })
+      })
+      async alwaysFails() {
+        calls++;
+        throw new Error(`failure ${calls}`);
+      }
+
+      @async_retry({ attempts: 5, delay: 1, retryIf: error => error.message !== 'fatal' })
+      async fatal() {
+        calls++;
+        throw new Error('fatal');
+      }
+
+      @async_retry({ attempts: 2, delay: 1 })
+      async limited() {
+        calls++;
+        if (calls === 1) throw new RateLimitError('slow down', 30);
+        return 'ok';
+      }
+    }
+
+    const service = new FlakyService();
+
+    const error = await service.alwaysFails().catch(e => e);
+    expect(error).toBeInstanceOf(RetryError);
+    expect(error.lastError.message).toBe('failure 3');
+    expect(error.errors.map(e => e.message)).toEqual(['failure 1', 'failure 2', 'failure 3']);
+    expect(error.timings).toHaveLength(3);
+    expect(retries.map(r => r.attempt)).toEqual([1, 2]);
+    retries.forEach(r => expect(r.delay).toBeLessThanOrEqual(8));
+
+    calls = 0;
+    await expect(service.fatal()).rejects.toThrow('fatal');
+    expect(calls).toBe(1);
+
+    calls = 0;
+    const start = Date.now();
+    expect(await service.limited()).toBe('ok');
+    expect(Date.now() - start).toBeGreaterThanOrEqual(25);
+  });
+
+  it('should stop @async_retry() when its AbortSignal fires', async () => {
+    const controller = new AbortController();
+    let calls = 0;
+
+    const fetchData = async_retry({ attempts: 5, delay: 1000, signal: controller.signal })(async () => {
+      calls++;
+      throw new Error('Network error');
+    });
+
+    const pending = fetchData();
+    setTimeout(() => controller.abort(new Error('cancelled')), 10);
+    await expect(pending).rejects.toThrow('cancelled');
+    expect(calls).toBe(1);
+  });
+
+  it('should open, half-open and close with @circuit_breaker()', async () => {
+    const { circuit_breaker, CircuitOpenError } = require('./index.js');
+    const transitions = [];
+    let healthy = false;
+
+    const callService = circuit_breaker({
+      failureThreshold: 2,
+      cooldown: 30,
+      onStateChange: (state, previous) => transitions.push(`${previous}->${state}`)
+    })(async () => {
+      if (!healthy) throw new Error('Service down');
+      return 'ok';
+    });
+
+    await expect(callService()).rejects.toThrow('Service down');
+    await expect(callService()).rejects.toThrow('Service down');
+    expect(callService.circuitState()).toBe('open');
+    await expect(callService()).rejects.toThrow(CircuitOpenError);
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    healthy = true;
+    expect(callService.circuitState()).toBe('half-open');
+    expect(await callService()).toBe('ok');
+    expect(callService.circuitState()).toBe('closed');
+    expect(transitions).toEqual(['closed->open', 'open->half-open', 'half-open->closed']);
+
+    callService.open();
+    await new Promise(resolve => setTimeout(resolve, 40));
+    expect(callService.circuitState()).toBe('open');
+    callService.close();
+    expect(await callService()).toBe('ok');
+  });
+
+  it('should cap concurrency and queue calls with @bulkhead()', async () => {
+    const { bulkhead, BulkheadRejectedError } = require('./index.js');
+    const order = [];
+    let running = 0;
+    let peak = 0;
+
+    class Downloader {
+      @bulkhead({ concurrency: 2, queueSize: 2, priority: (name, urgent) => (urgent ? 1 : 0) })
+      async download(name) {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        running--;
+        order.push(name);
+        return name;
+      }
+    }
+
+    const downloader = new Downloader();
+    const calls = [
+      downloader.download('a'),
+      downloader.download('b'),
+      downloader.download('c'),
+      downloader.download('d', true)
+    ];
+    expect(downloader.download.active).toBe(2);
+    expect(downloader.download.queued).toBe(2);
+
+    const rejected = await downloader.download('e').catch(e => e);
+    expect(rejected).toBeInstanceOf(BulkheadRejectedError);
+    expect(rejected.reason).toBe('queue-full');
+
+    await Promise.all(calls);
+    expect(peak).toBe(2);
+    expect(order.slice(2)).toEqual(['d', 'c']);
+    expect(downloader.download.bulkheadStats()).toEqual({ active: 0, queued: 0 });
+
+    const slow = bulkhead({ concurrency: 1, queueTimeout: 10 })(() => new Promise(resolve => setTimeout(resolve, 50)));
+    const first = slow();
+    await expect(slow()).rejects.toThrow('waited longer than 10ms');
+    await first;
+  });
+
+  it('should support token-bucket and sliding windows in @rate_limit()', async () => {
+    const { parseDuration, RateLimitError, DecoratorError } = require('./index.js');
+    expect(parseDuration('250ms')).toBe(250);
+    expect(parseDuration('1.5s')).toBe(1500);
+    expect(parseDuration('15m')).toBe(900000);
+    expect(() => parseDuration('soon')).toThrow(DecoratorError);
+
+    const bucket = rate_limit({ requests: 1, window: 30, algorithm: 'token-bucket', burst: 2 })(x => x);
+    expect(bucket(1)).toBe(1);
+    expect(bucket(2)).toBe(2);
+    expect(() => bucket(3)).toThrow(RateLimitError);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    expect(bucket(4)).toBe(4);
+
+    const log = rate_limit({ requests: 2, window: '50ms', algorithm: 'sliding-log', per: x => x })(x => x);
+    log('a');
+    log('a');
+    expect(log('b')).toBe('b');
+    let error;
+    try { log('a'); } catch (e) { error = e; }
+    expect(error.retryAfter).toBeGreaterThan(0);
+    expect(error.retryAfter).toBeLessThanOrEqual(50);
+
+    const order = [];
+    const queued = rate_limit({ requests: 1, window: '20ms', algorithm: 'sliding-counter', strategy: 'wait' })(
+      x => { order.push(x); return x; }
+    );
+    const results = [queued(1), queued(2), queued(3)];
+    expect(results[0]).toBe(1);
+    expect(await Promise.all(results.slice(1))).toEqual([2, 3]);
+    expect(order).toEqual([1, 2, 3]);
+
+    expect(() => rate_limit({ requests: 1, window: 'forever' })(x => x)).toThrow(DecoratorError);
+  });
+
+  it('should share @rate_limit() counters through a store', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { MemoryRateLimitStore, FileLockRateLimitStore, RateLimitError, DecoratorError } = require('./index.js');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decorators-'));
+    const file = path.join(dir, 'limits.json');
+    // Two decorated copies over one file behave like two worker processes
+    const workerA = rate_limit({ requests: 2, window: '1m', store: new FileLockRateLimitStore(file), prefix: 'api' })(() => 'a');
+    const workerB = rate_limit({ requests: 2, window: '1m', store: new FileLockRateLimitStore(file), prefix: 'api' })(() => 'b');
+    expect(await Promise.all([workerA(), workerB()])).toEqual(['a', 'b']);
+    await expect(workerA()).rejects.toBeInstanceOf(RateLimitError);
+    expect(fs.existsSync(`${file}.lock`)).toBe(false);
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    const store = new MemoryRateLimitStore();
+    let calls = 0;
+    const sliding = rate_limit({ requests: 1, window: 30, algorithm: 'sliding-counter', strategy: 'wait', store })(
+      () => ++calls
+    );
+    expect(await sliding()).toBe(1);
+    expect(await sliding()).toBe(2);
+    expect([...store.counters.keys()].every(key => key.startsWith('rate_limit:') && key.includes(':global:'))).toBe(true);
+
+    expect(() => rate_limit({ requests: 1, window: '1s', algorithm: 'token-bucket', store })(x => x))
+      .toThrow(DecoratorError);
+  });
+
+  it('should settle superseded calls and support leading, maxWait, cancel and flush in @debounce()', async () => {
+    const { CancelledError } = require('./index.js');
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const calls = [];
+
+    class Editor {
+      @debounce(30)
+      save(text) {
+        calls.push(text);
+        return text.length;
+      }
+
+      @debounce(30, { onCancel: 'reject' })
+      strictSave(text) {
+        return text;
+      }
+    }
+
+    const editor = new Editor();
+    expect(await Promise.all([editor.save('a'), editor.save('ab')])).toEqual([2, 2]);
+
+    const superseded = editor.strictSave('x').catch(e => e);
+    expect(await editor.strictSave('xy')).toBe('xy');
+    expect(await superseded).toBeInstanceOf(CancelledError);
+
+    const pending = editor.save('abc');
+    expect(editor.save.pending(editor)).toBe(true);
+    expect(await editor.save.flush(editor)).toBe(3);
+    expect(await pending).toBe(3);
+    expect(editor.save.pending()).toBe(false);
+
+    const dropped = editor.save('dropped');
+    editor.save.cancel();
+    expect(await dropped).toBe(3);
+    expect(calls).toEqual(['ab', 'abc']);
+
+    // Plain functions have no object `this`
+    const seen = [];
+    const leading = debounce({ delay: 20, leading: true, trailing: false })(x => { seen.push(x); return x; });
+    expect(await Promise.all([leading(1), leading(2)])).toEqual([1, 1]);
+    await wait(30);
+    expect(seen).toEqual([1]);
+
+    const ticks = [];
+    const capped = debounce(20, { maxWait: 50 })(x => ticks.push(x));
+    for (let i = 0; i < 8; i++) {
+      capped(i);
+      await wait(10);
+    }
+    await wait(40);
+    expect(ticks.length).toBeGreaterThanOrEqual(2);
+    expect(ticks[ticks.length - 1]).toBe(7);
+  });
+
+  it('should run trailing calls and throttle per key with @throttle()', async () => {
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const positions = [];
+
+    class Tracker {
+      @throttle(30, { trailing: true, returnLast: true, key: user => user })
+      move(user, position) {
+        positions.push(`${user}:${position}`);
+        return position;
+      }
+    }
+
+    const tracker = new Tracker();
+    expect(tracker.move('ann', 1)).toBe(1);
+    expect(tracker.move('ann', 2)).toBe(1);
+    expect(tracker.move('ann', 3)).toBe(1);
+    expect(tracker.move('bob', 7)).toBe(7);
+    await wait(50);
+    expect(positions).toEqual(['ann:1', 'bob:7', 'ann:3']);
+    expect(tracker.move('ann', 4)).toBe(3);
+
+    tracker.move.cancel(tracker);
+    await wait(50);
+    expect(positions).toEqual(['ann:1', 'bob:7', 'ann:3']);
+    expect(tracker.move('ann', 5)).toBe(5);
+
+    const trailingOnly = throttle({ interval: 20, leading: false, trailing: true })(x => positions.push(x));
+    expect(trailingOnly('late')).toBeUndefined();
+    await wait(30);
+    expect(positions[positions.length - 1]).toBe('late');
+  });
+
+  it('should contain failing trailing calls and forget idle keys with @throttle()', async () => {
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const originalWarn = console.warn;
+    console.warn = jest.fn();
+
+    try {
+      let calls = 0;
+      const flaky = throttle({ interval: 20, trailing: true, returnLast: true })(() => {
+        if (++calls === 2) throw new Error('boom 2');
+        return calls;
+      });
+      expect(flaky()).toBe(1);
+      expect(flaky()).toBe(1);
+      await wait(30);
+      expect(calls).toBe(2);
+      expect(console.warn).toHaveBeenCalledWith(expect.anything(), expect.anything(), expect.stringContaining('failed'), expect.objectContaining({ message: 'boom 2' }));
+      expect(flaky()).toBeUndefined();
+
+      const rejecting = throttle({ interval: 20, trailing: true, returnLast: true })(async (n) => {
+        if (n > 1) throw new Error('async boom');
+        return n;
+      });
+      await expect(rejecting(1)).resolves.toBe(1);
+      rejecting(2);
+      await wait(30);
+      await expect(rejecting(3)).rejects.toThrow('async boom');
+
+      // A key's state (and with it the last result) is dropped once its interval passes idle
+      const perUser = throttle({ interval: 20, leading: false, trailing: true, returnLast: true, key: id => id })(id => id * 10);
+      expect(perUser(5)).toBeUndefined();
+      await wait(30);
+      expect(perUser(5)).toBe(50);
+      await wait(80);
+      expect(perUser(5)).toBeUndefined();
+    } finally {
+      console.warn = originalWarn;
+    }
+  });
+
+  it('should retry async methods on timers and poll with @repeat()', async () => {
+    const { TimeoutError } = require('./index.js');
+    const attempts = [];
+    let calls = 0;
+
+    class Jobs {
+      @repeat(3, 20, { onAttempt: info => attempts.push(info.error ? 'error' : info.result) })
+      async fetch() {
+        calls++;
+        if (calls < 3) throw new Error('busy');
+        return 'done';
+      }
+
+      @repeat({ until: job => job.status === 'finished', interval: 10, timeout: 500 })
+      async status() {
+        calls++;
+        return { status: calls >= 6 ? 'finished' : 'running' };
+      }
+    }
+
+    const jobs = new Jobs();
+    let ticks = 0;
+    const ticker = setInterval(() => ticks++, 5);
+    expect(await jobs.fetch()).toBe('done');
+    clearInterval(ticker);
+    // The event loop kept running between attempts
+    expect(ticks).toBeGreaterThan(0);
+    expect(attempts).toEqual(['error', 'error', 'done']);
+
+    expect(await jobs.status()).toEqual({ status: 'finished' });
+    expect(calls).toBe(6);
+
+    const stuck = repeat({ until: () => false, interval: 10, timeout: 35 })(async () => 'running');
+    await expect(stuck()).rejects.toBeInstanceOf(TimeoutError);
+
+    const hung = repeat({ until: () => true, timeout: 20 })(() => new Promise(() => {}));
+    await expect(hung()).rejects.toThrow('did not complete within 20ms');
+  });
+
+  it('should write structured, redacted records with @logExecution() transports', () => {
+    const { createJsonTransport } = require('./index.js');
+    const lines = [];
+    const records = [];
+
+    class AuthService {
+      @logExecution({
+        logger: createJsonTransport({ write: line => lines.push(line) }),
+        result: true,
+        redact: ['params.0.password', 'token'],
+        correlationId: credentials => `req-${credentials.user}`
+      })
+      login(credentials) {
+        return { user: credentials.user, token: 'secret-token' };
+      }
+
+      @logExecution({ logger: { info: () => {}, error: record => records.push(record) }, params: false })
+      fail() {
+        throw new Error('nope');
+      }
+    }
+
+    const service = new AuthService();
+    const credentials = { user: 'ann', password: 'hunter2' };
+    expect(service.login(credentials).token).toBe('secret-token');
+    expect(credentials.password).toBe('hunter2');
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0].endsWith('\n')).toBe(true);
+    const record = JSON.parse(lines[0]);
+    expect(record).toMatchObject({
+      level: 'info',
+      method: 'login',
+      correlationId: 'req-ann',
+      outcome: 'success',
+      params: [{ user: 'ann', password: '[REDACTED]' }],
+      result: { user: 'ann', token: '[REDACTED]' }
+    });
+    expect(typeof record.durationMs).toBe('number');
+
+    expect(() => service.fail()).toThrow('nope');
+    expect(records[0]).toMatchObject({ level: 'error', method: 'fail', outcome: 'error' });
+    expect(records[0].error.message).toBe('nope');
+    expect(records[0]).not.toHaveProperty('params');
+
+    const { DecoratorError } = require('./index.js');
+    expect(() => logExecution({ logger: null })(x => x)).not.toThrow();
+    expect(() => logExecution({ logger: 42 })(x => x)).toThrow(DecoratorError);
+  });
+
+  it('should measure settlement and count rejections of async methods', async () => {
+    const { metrics } = require('./index.js');
+    const records = [];
+    const transport = { write: record => records.push(record) };
+
+    class Worker {
+      @logExecution({ logger: transport, params: false, result: true })
+      async slow() {
+        await new Promise(resolve => setTimeout(resolve, 30));
+        return 'done';
+      }
+
+      @protect('normal', { silent: true })
+      async lenient() {
+        throw new Error('swallowed');
+      }
+
+      @protect('strict', { silent: true })
+      async strict() {
+        return { id: 1 };
+      }
+    }
+
+    const worker = new Worker();
+    expect(await worker.slow()).toBe('done');
+    expect(records[0].durationMs).toBeGreaterThanOrEqual(25);
+    expect(records[0].result).toBe('done');
+
+    await expect(worker.lenient()).resolves.toBeUndefined();
+    expect(Object.isFrozen(await worker.strict())).toBe(true);
+    const failing = protect('strict', { silent: true })(async () => { throw new Error('kept'); });
+    await expect(failing()).rejects.toThrow('kept');
+
+    const measured = metrics()(async (fail) => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      if (fail) throw new Error('rejected');
+    });
+    await measured(false);
+    await expect(measured(true)).rejects.toThrow('rejected');
+    const stats = measured.getMetrics();
+    expect(stats.calls).toBe(2);
+    expect(stats.errors).toBe(1);
+    expect(stats.averageDuration).toBeGreaterThanOrEqual(15);
+  });
+
+  it('should export metrics in Prometheus and OpenMetrics formats', async () => {
+    const { metrics, MetricsRegistry } = require('./index.js');
+    const registry = new MetricsRegistry();
+    const forwarded = [];
+    registry.use({
+      increment: name => forwarded.push(name),
+      gauge: () => {},
+      histogram: name => forwarded.push(name)
+    });
+
+    const create = metrics({
+      name: 'orders_create',
+      labels: { service: 'checkout' },
+      type: 'histogram',
+      buckets: [0.05, 1],
+      registry
+    })(async (fail) => {
+      if (fail) throw new Error('declined');
+      return 'ok';
+    });
+    await create(false);
+    await expect(create(true)).rejects.toThrow('declined');
+
+    const text = registry.toPrometheus();
+    expect(text).toContain('# TYPE orders_create_calls_total counter');
+    expect(text).toContain('orders_create_calls_total{service="checkout"} 2');
+    expect(text).toContain('orders_create_errors_total{service="checkout"} 1');
+    expect(text).toContain('# TYPE orders_create_duration_seconds histogram');
+    expect(text).toContain('orders_create_duration_seconds_bucket{service="checkout",le="+Inf"} 2');
+    expect(text).toContain('orders_create_duration_seconds_count{service="checkout"} 2');
+
+    const open = registry.toOpenMetrics();
+    expect(open).toContain('# TYPE orders_create_calls counter');
+    expect(open).toContain('orders_create_calls_total{service="checkout"} 2');
+    expect(open.endsWith('# EOF\n')).toBe(true);
+
+    const snapshot = registry.snapshot();
+    expect(JSON.parse(JSON.stringify(snapshot)).map(family => family.name)).toEqual([
+      'orders_create_calls_total', 'orders_create_errors_total', 'orders_create_duration_seconds'
+    ]);
+    expect(forwarded).toContain('orders_create_duration_seconds');
+    expect(create.getMetrics().calls).toBe(2);
+  });
+
+  it('should report bounded latency percentiles and time windows from metrics', () => {
+    const { metrics } = require('./index.js');
+    let now = 0;
+    const realNow = performance.now;
+    performance.now = () => now;
+    const timed = metrics({ registry: false })(ms => { now += ms; });
+
+    try {
+      for (let ms = 1; ms <= 100; ms++) timed(ms);
+    } finally {
+      performance.now = realNow;
+    }
+
+    const stats = timed.getMetrics();
+    expect(stats).not.toHaveProperty('durations');
+    expect(stats.calls).toBe(100);
+    expect(stats.percentiles.max).toBe(100);
+    expect(Math.abs(stats.percentiles.p50 - 50) / 50).toBeLessThan(0.03);
+    expect(Math.abs(stats.percentiles.p99 - 99) / 99).toBeLessThan(0.03);
+    expect(stats.windows['1m'].calls).toBe(100);
+    expect(stats.windows['15m'].p90).toBe(stats.percentiles.p90);
+
+    timed.clearMetrics();
+    expect(timed.getMetrics().windows['5m'].calls).toBe(0);
+    expect(timed.getMetrics().percentiles.p95).toBe(0);
+  });
+
+  it('should propagate spans with @trace() and share trace IDs with logs and metrics', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { trace, tracer, InMemorySpanExporter, OtlpJsonFileExporter, MetricsRegistry, metrics } = require('./index.js');
+    const exporter = new InMemorySpanExporter();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decorators-'));
+    const file = path.join(dir, 'traces.jsonl');
+    const removeMemory = tracer.addExporter(exporter);
+    const removeFile = tracer.addExporter(new OtlpJsonFileExporter(file, { serviceName: 'checkout' }));
+    const records = [];
+    const registry = new MetricsRegistry();
+
+    class Checkout {
+      @trace({ attributes: order => ({ 'order.id': order.id }) })
+      async placeOrder(order) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return this.charge(order);
+      }
+
+      @trace('payment.charge')
+      @logExecution({ logger: { write: record => records.push(record) }, params: false })
+      async charge(order) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        if (order.declined) throw new Error('card declined');
+        return 'charged';
+      }
+    }
+
+    try {
+      const checkout = new Checkout();
+      expect(await checkout.placeOrder({ id: 7 })).toBe('charged');
+      await expect(checkout.placeOrder({ id: 8, declined: true })).rejects.toThrow('card declined');
+
+      const spans = exporter.getFinishedSpans();
+      expect(spans.map(span => span.name)).toEqual(['payment.charge', 'placeOrder', 'payment.charge', 'placeOrder']);
+      const [child, parent, failedChild] = spans;
+      expect(child.parentSpanId).toBe(parent.spanId);
+      expect(child.traceId).toBe(parent.traceId);
+      expect(parent.attributes).toEqual({ 'order.id': 7 });
+      expect(parent.status.code).toBe('OK');
+      expect(failedChild.status).toEqual({ code: 'ERROR', message: 'card declined' });
+      expect(failedChild.events[0].attributes['exception.message']).toBe('card declined');
+      expect(records[0]).toMatchObject({ traceId: child.traceId, spanId: child.spanId });
+
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toHaveLength(4);
+      const otlpSpan = lines[0].resourceSpans[0].scopeSpans[0].spans[0];
+      expect(otlpSpan).toMatchObject({ traceId: child.traceId, spanId: child.spanId, parentSpanId: parent.spanId });
+      expect(otlpSpan.startTimeUnixNano).toMatch(/^\d{19}$/);
+
+      const measured = trace('measured')(metrics({ name: 'measured', type: 'histogram', registry })(() => 'ok'));
+      measured();
+      const measuredSpan = exporter.getFinishedSpans().pop();
+      expect(registry.toOpenMetrics()).toContain(`# {trace_id="${measuredSpan.traceId}",span_id="${measuredSpan.spanId}"}`);
+      expect(registry.toPrometheus()).not.toContain('trace_id');
+
+      // Spans of a separate tracer reach logs only when the same tracer is passed along
+      const { Tracer } = require('./index.js');
+      const ownTracer = new Tracer({ exporters: [exporter] });
+      expect(ownTracer.propagatesAsync).toBe(true);
+      const logged = trace({ name: 'own', tracer: ownTracer })(
+        logExecution({ logger: { write: record => records.push(record) }, params: false, tracer: ownTracer })(() => 'ok')
+      );
+      logged();
+      expect(records.pop()).toMatchObject({ traceId: exporter.getFinishedSpans().pop().traceId });
+    } finally {
+      removeMemory();
+      removeFile();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should validate nested schemas and report every error with @validate()', () => {
+    const { ValidationError } = require('./index.js');
+    const originalError = console.error;
+    console.error = jest.fn();
+
+    class Users {
+      @validate({
+        params: [{
+          type: 'object',
+          required: true,
+          additionalProperties: false,
+          properties: {
+            name: { type: 'string', required: true, min: 2 },
+            age: { type: 'integer', min: 0 },
+            role: { enum: ['admin', 'member'] },
+            tags: { type: 'array', items: { type: 'string' } },
+            joined: { type: 'date', min: '2020-01-01' },
+            manager: { type: 'object', required: true, nullable: true },
+            contact: { anyOf: [{ type: 'string', pattern: /@/ }, { type: 'integer' }] }
+          }
+        }],
+        return: { type: 'array' },
+        logErrors: false
+      })
+      create(user) {
+        return [user.name];
+      }
+    }
+
+    const users = new Users();
+    expect(users.create({ name: 'Ann', age: 3, role: 'admin', tags: ['a'], manager: null, contact: 'a@b' })).toEqual(['Ann']);
+
+    let error;
+    try {
+      users.create({ name: 'A', age: 1.5, role: 'guest', tags: ['ok', 2], joined: new Date('2019-05-01'), contact: 'nope', extra: 1 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.fieldName).toBe('param0');
+    expect(error.errors.map(e => e.path)).toEqual([
+      '/0/name', '/0/age', '/0/role', '/0/tags/1', '/0/joined', '/0/manager', '/0/contact', '/0/extra'
+    ]);
+    expect(error.message).toContain('Parameter 0 at /name must be >= 2');
+    expect(error.message).toContain('Parameter 0 at /tags/1 must be of type string');
+    expect(console.error).not.toHaveBeenCalled();
+
+    const lenient = validate({ params: [{ type: 'string', required: true }], throwOnError: false })(x => `got ${x}`);
+    expect(lenient(5)).toBe('got 5');
+    expect(console.error).toHaveBeenCalled();
+    console.error = originalError;
+  });
+
+  it('should await async validators and check resolved return values with @validate()', async () => {
+    const { ValidationError } = require('./index.js');
+    const taken = new Set(['ann@example.com']);
+    let created = 0;
+
+    class Accounts {
+      @validate({
+        params: [{
+          type: 'string',
+          required: true,
+          validate: async email => !taken.has(email),
+          message: 'Email already registered'
+        }],
+        return: { type: 'object', properties: { id: { type: 'integer', required: true } } },
+        logErrors: false
+      })
+      async register(email) {
+        created++;
+        return { id: email === 'bad@example.com' ? 'x' : created };
+      }
+
+      @validate({ params: [{ type: 'number', min: 0 }], return: { type: 'number' }, logErrors: false })
+      double(n) {
+        return n * 2;
+      }
+    }
+
+    const accounts = new Accounts();
+    await expect(accounts.register('bob@example.com')).resolves.toEqual({ id: 1 });
+
+    const duplicate = await accounts.register('ann@example.com').catch(e => e);
+    expect(duplicate).toBeInstanceOf(ValidationError);
+    expect(duplicate.errors).toEqual([{ path: '/0', message: 'Email already registered' }]);
+    expect(created).toBe(1);
+
+    await expect(accounts.register('bad@example.com')).rejects.toThrow('Return value at /id must be of type integer');
+
+    // Sync methods without async rules stay synchronous
+    expect(accounts.double(2)).toBe(4);
+    expect(() => accounts.double(-1)).toThrow('Parameter 0 must be >= 0');
+  });
+
+  it('should accept Standard Schema objects in @validate() and use their output', async () => {
+    const { ValidationError } = require('./index.js');
+    // Minimal Standard Schema implementations, shaped like zod/valibot schemas
+    const schema = (check, isAsync = false) => ({
+      '~standard': {
+        version: 1,
+        vendor: 'test',
+        validate: value => (isAsync ? Promise.resolve(check(value)) : check(value))
+      }
+    });
+    const numeric = schema(value => (Number.isNaN(Number(value))
+      ? { issues: [{ message: 'Expected a number' }] }
+      : { value: Number(value) }));
+    const query = schema(value => (typeof value.id === 'string' && value.id
+      ? { value: { ...value, id: value.id.trim() } }
+      : { issues: [{ message: 'Required', path: [{ key: 'id' }] }, { message: 'Too long', path: ['tags', 2] }] }));
+    const pair = schema(value => (value.length === 2 ? { value } : { issues: [{ message: 'Expected 2 arguments' }] }), true);
+
+    class Orders {
+      @validate({ params: [numeric, query], coerce: true, logErrors: false })
+      find(limit, filter) {
+        return { limit, filter };
+      }
+
+      @validate({ args: pair, logErrors: false })
+      async assign(email, seat) {
+        return `${email}:${seat}`;
+      }
+    }
+
+    const orders = new Orders();
+    expect(orders.find('10', { id: ' 42 ' })).toEqual({ limit: 10, filter: { id: '42' } });
+
+    let error;
+    try {
+      orders.find('ten', { tags: [] });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.fieldName).toBe('param0');
+    expect(error.errors).toEqual([
+      { path: '/0', message: 'Parameter 0: Expected a number' },
+      { path: '/1/id', message: 'Parameter 1 at /id: Required' },
+      { path: '/1/tags/2', message: 'Parameter 1 at /tags/2: Too long' }
+    ]);
+
+    await expect(orders.assign('a@b.c', 3)).resolves.toBe('a@b.c:3');
+    const failed = await orders.assign('a@b.c').catch(e => e);
+    expect(failed.fieldName).toBe('args');
+    expect(failed.message).toBe('Arguments: Expected 2 arguments');
+  });
+
+  it('should answer @search_optimize() lookups from cached hash and binary indexes', () => {
+    const { search_optimize } = require('./index.js');
+    const seen = [];
+
+    class Directory {
+      @search_optimize({ algorithm: 'hash', indexKeys: ['email', 'team.id'] })
+      find(users, query, matches = users) {
+        seen.push(matches.length);
+        return matches.filter(u => (query.email === undefined || u.email === query.email)
+          && (query['team.id'] === undefined || u.team.id === query['team.id'])
+          && (query.team === undefined || u.team.id === query.team));
+      }
+
+      @search_optimize({ algorithm: 'binary', indexKeys: ['age'], narrow: true })
+      byAge(users) {
+        return users.map(u => u.name);
+      }
+    }
+
+    const users = [
+      { name: 'ann', email: 'ann@x', age: 31, team: { id: 1 } },
+      { name: 'bob', email: 'bob@x', age: 19, team: { id: 2 } },
+      { name: 'cid', email: 'cid@x', age: 25, team: { id: 1 } },
+      { name: 'dee', email: 'dee@x', age: 25, team: { id: 2 } }
+    ];
+    const directory = new Directory();
+
+    expect(directory.find(users, { email: 'cid@x' }).map(u => u.name)).toEqual(['cid']);
+    expect(directory.find(users, { 'team.id': 2 }).map(u => u.name)).toEqual(['bob', 'dee']);
+    expect(directory.find(users, { team: 1 }).map(u => u.name)).toEqual(['ann', 'cid']);
+    expect(seen).toEqual([1, 2, 4]);
+
+    let info = directory.find.indexInfo();
+    expect(info).toMatchObject({ algorithm: 'hash', builds: 2, indexedItems: 4, lookups: 3, hits: 2, misses: 1 });
+    expect(info.buildTime).toBeGreaterThanOrEqual(0);
+
+    // Same array and length: the indexes are reused
+    directory.find(users, { email: 'ann@x' });
+    expect(directory.find.indexInfo().builds).toBe(2);
+
+    // A new element invalidates them
+    users.push({ name: 'eve', email: 'eve@x', age: 40, team: { id: 3 } });
+    expect(directory.find(users, { email: 'eve@x' }).map(u => u.name)).toEqual(['eve']);
+    expect(directory.find.indexInfo().builds).toBe(3);
+
+    expect(directory.byAge(users, 25)).toEqual(['cid', 'dee']);
+    expect(directory.byAge(users, { gte: 20, lt: 40 })).toEqual(['cid', 'dee', 'ann']);
+    expect(directory.byAge(users, { gt: 40 })).toEqual([]);
+    info = directory.byAge.indexInfo();
+    expect(info).toMatchObject({ algorithm: 'binary', builds: 1, lookups: 3, hits: 3, hitRate: 100 });
+  });
+
+  it('should cache @search_optimize() results per collection when cacheResults is set', () => {
+    const { search_optimize } = require('./index.js');
+
+    // Without narrow the method still sees the whole collection, so positions and counts hold
+    const position = (items, value) => items.indexOf(value);
+    const indexed = search_optimize({ algorithm: 'hash' })(position);
+    const sorted = search_optimize({ algorithm: 'binary' })((items, value, matches) => [items.length, matches]);
+    expect(indexed(['a', 'b', 'c'], 'c')).toBe(position(['a', 'b', 'c'], 'c'));
+    expect(sorted([3, 1, 2, 1], 1)).toEqual([4, [1, 1]]);
+
+    // Missing queries fall back to a scan, and a caller's own third argument is never replaced
+    const records = [{ id: 1 }, { id: 2 }];
+    const find = (list, id, options) => [list.filter(item => id == null || item.id === id), options];
+    const byId = search_optimize({ algorithm: 'hash', indexKeys: ['id'] })(find);
+    const byTwo = search_optimize({ algorithm: 'hash', indexKeys: ['id', 'name'] })(find);
+    expect(byId(records, null)).toEqual(find(records, null));
+    expect(byId(records, undefined)).toEqual(find(records, undefined));
+    expect(byTwo(records)).toEqual(find(records));
+    expect(byId(records, 1, { limit: 5 })).toEqual([[{ id: 1 }], { limit: 5 }]);
+
+    let scans = 0;
+    const lookup = search_optimize({ cacheResults: true })((items, value) => {
+      scans++;
+      return items.indexOf(value);
+    });
+
+    const items = ['a', 'b', 'c'];
+    expect(lookup(items, 'c')).toBe(2);
+    expect(lookup(items, 'c')).toBe(2);
+    expect(lookup(['c'], 'c')).toBe(0);
+    expect(scans).toBe(2);
+    expect(lookup.indexInfo()).toMatchObject({ algorithm: 'linear', cacheHits: 1, builds: 0 });
+
+    lookup.clearIndex();
+    lookup(items, 'c');
+    expect(scans).toBe(3);
+    expect(() => search_optimize({ algorithm: 'trie' })(() => {})).toThrow('Unknown search algorithm');
+  });
 });
\ No newline at end of file
@@ -15,24 +15,174 @@ export type SearchAlgorithm = 'binary' | 'linear' | 'hash';
 export interface CacheInfo {
   hits: number;
   misses: number;
+  expirations: number;
+  evictions: EvictionCounts;
   maxsize: number;
   currsize: number;
+  maxweight: number;
+  currweight: number;
   ratio: number;
+  /** In-flight promise calls shared by concurrent callers (super_cache only) */
+  pending?: number;
+  /** Number of live per-instance caches summed into this result (instance scope only) */
+  instances?: number;
 }
 
+/**
+ * How arguments become cache keys:
+ * - 'structural' (default): content hash of primitives, plain objects, arrays, Dates, Maps and Sets;
+ *   class instances and functions by identity
+ * - 'identity': every object argument by identity
+ * - 'fast': legacy `fastKey` string joining
+ * - a resolver receiving the call arguments; non-string results are hashed structurally
+ */
+export type KeyStrategy = 'fast' | 'structural' | 'identity' | ((...args: any[]) => any);
+
+export interface EvictionCounts {
+  /** Evicted because the entry count reached maxsize */
+  size: number;
+  /** Evicted to stay under maxWeight */
+  weight: number;
+  /** New entries refused (heavier than maxWeight or denied by the admission filter) */
+  rejected: number;
+}
+
+/**
+ * Custom eviction policy. UniversalLRU passes its cache Map ordered from least to most recently used.
+ */
+export interface EvictionPolicy {
+  recordAccess(key: string, hit: boolean): void;
+  recordInsert(key: string): void;
+  recordDelete(key: string): void;
+  victim(cache: Map<string, CacheEntry>): string | undefined;
+  admit(candidate: string, victim: string): boolean;
+}
+
+export type EvictionPolicyName = 'lru' | 'lfu' | 'tinylfu';
+
+export interface CacheOptions {
+  type?: CacheType;
+  maxsize?: number;
+  key?: KeyStrategy;
+  /** Backing store the cache writes through to and reloads from */
+  store?: CacheStore;
+  policy?: EvictionPolicyName | EvictionPolicy;
+  /** Registry name (defaults to the method name; duplicates get a '#2', '#3', ... suffix) */
+  name?: string;
+  /** Tags stored with each entry, fixed or computed from the call arguments */
+  tags?: string[] | ((...args: any[]) => string | string[]);
+  /**
+   * 'class' (default): one cache shared by every caller.
+   * 'instance': a separate cache per `this`, garbage-collected with the object.
+   */
+  scope?: 'class' | 'instance';
+  /** Registry to join (defaults to the global cacheRegistry; false to stay unregistered) */
+  registry?: CacheRegistry | false;
+  /** Upper bound on the summed sizeOf() of all entries (0 = unbounded) */
+  maxWeight?: number;
+  sizeOf?: (value: any) => number;
+  /** Time-to-live per entry in milliseconds (0 = never expires) */
+  ttl?: number;
+  /** Window after ttl during which the stale value is served while the method re-runs */
+  staleWhileRevalidate?: number;
+}
+
+export interface LogRecord {
+  /** ISO timestamp of the call */
+  time: string;
+  level: LogLevel;
+  method: string;
+  correlationId: string;
+  /** Set when the call runs inside a traced span */
+  traceId?: string;
+  spanId?: string;
+  outcome: 'success' | 'error';
+  durationMs?: number;
+  params?: any[];
+  result?: any;
+  error?: any;
+}
+
+export interface LogTransport {
+  write(record: LogRecord): void;
+}
+
+/** Any logger with level methods, called as logger[level](record, message) */
+export type LevelLogger = Partial<Record<LogLevel, (record: LogRecord, message: string) => void>> & {
+  info(record: LogRecord, message: string): void;
+};
+
 export interface LogOptions {
   level?: LogLevel;
   timing?: boolean;
   params?: boolean;
   result?: boolean;
+  /** Default 'pretty' (console) */
+  logger?: 'pretty' | 'json' | LogTransport | LevelLogger;
+  /**
+   * Dot paths into the record ('params.0.password', 'result.*.token'), bare keys redacted at any
+   * depth ('password'), or a function returning the record to log
+   */
+  redact?: string[] | ((record: LogRecord) => LogRecord);
+  /** Derives the correlation ID from the call's arguments; a random ID by default */
+  correlationId?: (...args: any[]) => string;
+  /** Tracer whose active span supplies traceId/spanId (default `tracer`); false to omit them */
+  tracer?: Tracer | false;
 }
 
 export interface SearchOptions {
+  /** 'hash' and 'binary' narrow the collection through an index; 'linear' scans it */
   algorithm?: SearchAlgorithm;
+  /** Dot paths to index; empty indexes the items themselves */
   indexKeys?: string[];
+  /** Remember results per collection and query until the collection changes */
   cacheResults?: boolean;
+  /** Position of the collection argument (default 0) */
+  collectionArg?: number;
+  /** Position of the query argument (default 1) */
+  queryArg?: number;
+  /**
+   * Position the index candidates are passed at (default: after the collection and query);
+   * undefined when the query could not use an index. Not passed when the caller supplied an
+   * argument at that position
+   */
+  matchesArg?: number;
+  /** Pass the candidates in place of the collection; only for methods that just filter it */
+  narrow?: boolean;
+}
+
+/** Range query accepted on 'binary' indexes */
+export interface SearchRange<V = unknown> {
+  gt?: V;
+  gte?: V;
+  lt?: V;
+  lte?: V;
 }
 
+export interface SearchIndexInfo {
+  algorithm: SearchAlgorithm;
+  indexKeys: string[];
+  builds: number;
+  /** Total milliseconds spent building indexes */
+  buildTime: number;
+  lastBuildTime: number;
+  averageBuildTime: number;
+  /** Length of the last indexed collection */
+  indexedItems: number;
+  lookups: number;
+  /** Lookups answered from an index */
+  hits: number;
+  /** Lookups that fell back to the full collection */
+  misses: number;
+  hitRate: number;
+  cacheHits: number;
+}
+
+export type IndexedSearchFunction<T extends AnyFunction> = T & {
+  indexInfo(): SearchIndexInfo;
+  clearIndex(): void;
+};
+
 export interface VarGuardOptions {
   immutable?: boolean;
   deepFreeze?: boolean;
@@ -51,63 +201,484 @@ export interface ImmutableOptions {
   allowNew?: boolean;
 }
 
+export interface TimeLimitOptions {
+  /** Limit in milliseconds (object form only) */
+  timeout?: number;
+  /** Append an AbortSignal as the last argument; it is aborted when the limit is hit */
+  passSignal?: boolean;
+  /** Returned instead of throwing TimeoutError; a function receives the error and the call arguments */
+  fallback?: any;
+}
+
+export type RetryJitter = 'none' | 'full' | 'equal' | 'decorrelated';
+
 export interface AsyncRetryOptions {
   attempts?: number;
   delay?: number;
   exponentialBackoff?: boolean;
   retryOn?: Array<new (...args: any[]) => Error>;
+  /** Randomizes waits: full = [0, d], equal = [d/2, d], decorrelated = [delay, previous * 3] */
+  jitter?: RetryJitter;
+  /** Upper bound for any computed wait (RateLimitError.retryAfter may exceed it) */
+  maxDelay?: number;
+  /** Return false to stop retrying and rethrow the error */
+  retryIf?: (error: any, attempt: number) => boolean;
+  /** Called before each wait */
+  onRetry?: (error: any, attempt: number, delay: number) => void;
+  /** Aborting stops further attempts; a function receives the call arguments */
+  signal?: AbortSignal | ((...args: any[]) => AbortSignal | undefined);
+}
+
+export interface RetryAttempt {
+  attempt: number;
+  startedAt: number;
+  duration: number;
+  error: any;
+  /** Wait that followed this attempt (0 for the last one) */
+  delay: number;
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitBreakerOptions {
+  /** Consecutive failures that open the circuit (default 5) */
+  failureThreshold?: number;
+  /** Alternatively open when this share (0..1) of calls in the rolling window failed */
+  failureRate?: number | null;
+  /** Calls needed in the window before failureRate applies (default 10) */
+  minimumCalls?: number;
+  /** Rolling window in milliseconds (default 60000) */
+  window?: number;
+  /** Time spent open before trial calls are allowed (default 30000) */
+  cooldown?: number;
+  /** Half-open trial calls that must all succeed to close again (default 1) */
+  halfOpenMax?: number;
+  /** Return false for errors that should not count as failures */
+  isFailure?: (error: any) => boolean;
+  onStateChange?: (state: CircuitState, previous: CircuitState) => void;
+}
+
+export interface CircuitStats {
+  state: CircuitState;
+  consecutiveFailures: number;
+  calls: number;
+  failures: number;
+  failureRate: number;
+  openedAt: number | null;
+}
+
+export interface BulkheadOptions {
+  /** Calls allowed to run at once (default 10) */
+  concurrency?: number;
+  /** Calls allowed to wait; beyond that calls reject with reason 'queue-full' (default Infinity) */
+  queueSize?: number;
+  /** Milliseconds a call may wait before rejecting with reason 'queue-timeout' (0 = no limit) */
+  queueTimeout?: number;
+  /** Higher values leave the queue first; equal priorities keep arrival order */
+  priority?: (...args: any[]) => number;
+  /** Separate limits per instance or per key */
+  per?: 'instance' | KeyStrategy;
+}
+
+export interface DebounceOptions {
+  /** Quiet period in ms before the call runs (default 300) */
+  delay?: number;
+  /** Run on the first call of a burst (default false) */
+  leading?: boolean;
+  /** Run with the latest arguments once the burst is over (default true) */
+  trailing?: boolean;
+  /** Longest a burst may defer the call, in ms */
+  maxWait?: number;
+  /** How superseded and cancelled callers settle (default 'resolve' with the latest result) */
+  onCancel?: 'resolve' | 'reject';
+}
+
+export interface RepeatAttempt {
+  attempt: number;
+  result?: any;
+  error?: any;
+  /** Milliseconds since the first attempt started */
+  elapsed: number;
+}
+
+export interface RepeatOptions {
+  /** Maximum attempts (default 3, or unlimited when polling with `until`) */
+  times?: number;
+  /** Milliseconds between retries after an error */
+  delay?: number;
+  /** Poll until this returns true; the method then always returns a Promise */
+  until?: (result: any) => boolean;
+  /** Milliseconds between polls (defaults to `delay`) */
+  interval?: number;
+  /** Overall deadline in ms for async runs; exceeded runs reject with TimeoutError */
+  timeout?: number;
+  onAttempt?: (info: RepeatAttempt) => void;
+}
+
+export interface ThrottleOptions {
+  /** Minimum ms between runs (default 1000) */
+  interval?: number;
+  /** Run the first call of an interval immediately (default true) */
+  leading?: boolean;
+  /** Run the last suppressed call when the interval ends (default false) */
+  trailing?: boolean;
+  /** Suppressed calls return the last result instead of undefined */
+  returnLast?: boolean;
+  /** Throttle separately per key, e.g. per user ID */
+  key?: KeyStrategy;
+}
+
+export interface BulkheadStats {
+  active: number;
+  queued: number;
 }
 
 // ===== NEW DECORATOR TYPES =====
 
+export type ValidationType =
+  | 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'function' | 'date' | 'any';
+
+/** The Standard Schema contract (https://standardschema.dev) implemented by zod, valibot, arktype, ... */
+export interface StandardSchemaV1<Input = unknown, Output = Input> {
+  readonly '~standard': {
+    readonly version: 1;
+    readonly vendor: string;
+    readonly validate: (value: unknown) => StandardSchemaResult<Output> | Promise<StandardSchemaResult<Output>>;
+    readonly types?: { readonly input: Input; readonly output: Output };
+  };
+}
+
+export type StandardSchemaResult<Output> =
+  | { readonly value: Output; readonly issues?: undefined }
+  | { readonly issues: ReadonlyArray<StandardSchemaIssue> };
+
+export interface StandardSchemaIssue {
+  readonly message: string;
+  readonly path?: ReadonlyArray<PropertyKey | { readonly key: PropertyKey }>;
+}
+
+/** A built-in rule or any Standard Schema */
+export type ValidationSchema = ValidationRule | StandardSchemaV1;
+
 export interface ValidationRule {
-  type: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'function';
+  /** One type or several accepted types; 'object' excludes arrays */
+  type?: ValidationType | ValidationType[];
+  /** Rejects undefined and null, unless `optional` / `nullable` allow them */
   required?: boolean;
-  min?: number;
-  max?: number;
+  optional?: boolean;
+  nullable?: boolean;
+  /** Length for strings and arrays, value for numbers, time for dates */
+  min?: number | Date | string;
+  max?: number | Date | string;
   pattern?: RegExp;
-  validate?: (value: any) => boolean;
+  enum?: any[];
+  properties?: Record<string, ValidationSchema>;
+  /** false rejects keys missing from `properties` */
+  additionalProperties?: boolean;
+  items?: ValidationSchema;
+  anyOf?: ValidationSchema[];
+  oneOf?: ValidationSchema[];
+  /**
+   * Custom check. A Promise result is awaited before the method runs (or, for return rules,
+   * before the result is handed back), except inside anyOf/oneOf alternatives
+   */
+  validate?: (value: any) => boolean | Promise<boolean>;
   message?: string;
 }
 
+export interface ValidationIssue {
+  /** JSON pointer from the arguments ('/0/address/zip') or '/return' */
+  path: string;
+  message: string;
+}
+
 export interface ValidationOptions {
-  params?: ValidationRule[];
-  return?: ValidationRule;
+  params?: ValidationSchema[];
+  /** Schema for the whole argument list, e.g. a tuple; issue paths start with the argument index */
+  args?: ValidationSchema;
+  return?: ValidationSchema;
+  /** Call the method with (and return) the output of Standard Schemas instead of the raw values */
+  coerce?: boolean;
+  /** Default true; when false invalid calls proceed after logging */
   throwOnError?: boolean;
+  /** Default true */
   logErrors?: boolean;
 }
 
-export type RateLimitWindow = '1s' | '1m' | '1h' | '1d';
+/** Milliseconds, or a string such as '250ms', '1.5s', '15m', '1h', '1d'. */
+export type Duration = number | string;
+
+/** @deprecated Any {@link Duration} is accepted. */
+export type RateLimitWindow = Duration;
+
+export type RateLimitAlgorithm = 'fixed' | 'sliding-log' | 'sliding-counter' | 'token-bucket';
 
 export interface RateLimitOptions {
   requests: number;
-  window: RateLimitWindow;
-  per?: string | ((...args: any[]) => string);
+  window: Duration;
+  /** Default 'fixed'. */
+  algorithm?: RateLimitAlgorithm;
+  /** Bucket capacity for 'token-bucket'; defaults to `requests`. */
+  burst?: number;
+  per?: KeyStrategy;
   message?: string;
   strategy?: 'wait' | 'reject' | 'cache';
+  /**
+   * Shared counter store. The limited method then always returns a Promise, and only the
+   * 'fixed' and 'sliding-counter' algorithms are supported.
+   */
+  store?: RateLimitStore;
+  /** Prefix for store keys; defaults to `rate_limit:<method name>`. */
+  prefix?: string;
+}
+
+export interface RateLimitCounter {
+  count: number;
+  /** Epoch milliseconds when the counter's window ends. */
+  resetAt: number;
+}
+
+/** Fixed-window counters, e.g. over Redis INCR + PEXPIRE NX. */
+export interface RateLimitStore {
+  /** Atomically counts one call, starting a `windowMs` window if none is live. */
+  increment(key: string, windowMs: number): Promise<RateLimitCounter>;
+  get(key: string): Promise<RateLimitCounter | undefined>;
+}
+
+export declare class MemoryRateLimitStore implements RateLimitStore {
+  constructor();
+  increment(key: string, windowMs: number): Promise<RateLimitCounter>;
+  get(key: string): Promise<RateLimitCounter | undefined>;
+  prune(now?: number): void;
+}
+
+export interface FileLockRateLimitStoreOptions {
+  /** Give up acquiring the lock after this many ms (default 5000). */
+  lockTimeout?: number;
+  /** Remove lock files older than this many ms (default 10000). */
+  staleLock?: number;
+  /** Delay between lock attempts in ms (default 5). */
+  retryDelay?: number;
+  /** Custom fs implementation (defaults to Node's fs; see nodeModulesReady) */
+  fs?: any;
+}
+
+/**
+ * Resolves once Node built-ins (fs, async_hooks) can be loaded synchronously. Only native ESM
+ * on Node < 20.16 has to wait for it; FileStore, FileLockRateLimitStore and
+ * OtlpJsonFileExporter throw if built before it settles and no `fs` option is given.
+ */
+export declare const nodeModulesReady: Promise<void>;
+
+export declare class FileLockRateLimitStore implements RateLimitStore {
+  constructor(filePath: string, options?: FileLockRateLimitStoreOptions);
+  increment(key: string, windowMs: number): Promise<RateLimitCounter>;
+  get(key: string): Promise<RateLimitCounter | undefined>;
+
+  readonly filePath: string;
 }
 
 export type MetricType = 'counter' | 'gauge' | 'histogram';
 
 export interface MetricsOptions {
   track?: string[];
+  /** Metric name prefix, e.g. `<name>_calls_total` (defaults to the method name) */
   name?: string;
   labels?: Record<string, string>;
+  /** Kind of the `<name>_duration_seconds` metric (default 'counter', a running total) */
   type?: MetricType;
+  /** Histogram upper bounds in seconds */
   buckets?: number[];
+  /** Where calls are reported (default metricsRegistry); false to keep them private */
+  registry?: MetricsCollector | false;
+  /** Tracer whose active span supplies exemplars (default `tracer`); false to omit them */
+  tracer?: Tracer | false;
+}
+
+/** Exemplar labels linking an observation to a trace, e.g. { trace_id, span_id } */
+export type MetricExemplarLabels = Record<string, string>;
+
+export interface MetricExemplar {
+  labels: MetricExemplarLabels;
+  value: number;
+  /** Epoch seconds */
+  timestamp: number;
 }
 
 export interface MetricsCollector {
-  increment(name: string, value?: number, labels?: Record<string, string>): void;
+  increment(name: string, value?: number, labels?: Record<string, string>, exemplar?: MetricExemplarLabels): void;
   gauge(name: string, value: number, labels?: Record<string, string>): void;
-  histogram(name: string, value: number, labels?: Record<string, string>): void;
+  histogram(name: string, value: number, labels?: Record<string, string>, exemplar?: MetricExemplarLabels): void;
+  /** Called once per metric family before its first observation, when implemented */
+  describe?(name: string, type: MetricType, help?: string, buckets?: number[]): void;
+}
+
+/** Milliseconds; percentiles are within 2% of the exact value */
+export interface LatencySummary {
+  p50: number;
+  p90: number;
+  p95: number;
+  p99: number;
+  max: number;
+}
+
+export interface MetricsWindowStats extends LatencySummary {
+  calls: number;
+  errors: number;
+  averageDuration: number;
+  successRate: number;
+}
+
+export interface FunctionMetrics {
+  calls: number;
+  errors: number;
+  totalDuration: number;
+  lastCalled: Date | null;
+  averageDuration: number;
+  successRate: number;
+  /** Lifetime latency percentiles */
+  percentiles: LatencySummary;
+  /** Stats for the last 1, 5 and 15 minutes */
+  windows: Record<'1m' | '5m' | '15m', MetricsWindowStats>;
+}
+
+export type MeasuredFunction<T extends AnyFunction> = T & {
+  getMetrics(): FunctionMetrics;
+  clearMetrics(): void;
+};
+
+export interface MetricSeriesSnapshot {
+  labels: Record<string, string>;
+  /** Counters and gauges */
+  value?: number;
+  /** Latest traced observation (counters) */
+  exemplar?: MetricExemplar;
+  /** Histograms: cumulative counts per upper bound, ending with Infinity */
+  buckets?: { le: number; count: number; exemplar?: MetricExemplar }[];
+  sum?: number;
+  count?: number;
+}
+
+export interface MetricFamilySnapshot {
+  name: string;
+  type: MetricType;
+  help: string;
+  series: MetricSeriesSnapshot[];
+}
+
+export declare class MetricsRegistry implements MetricsCollector {
+  constructor();
+
+  describe(name: string, type: MetricType, help?: string, buckets?: number[]): void;
+  increment(name: string, value?: number, labels?: Record<string, string>, exemplar?: MetricExemplarLabels): void;
+  gauge(name: string, value: number, labels?: Record<string, string>): void;
+  histogram(name: string, value: number, labels?: Record<string, string>, exemplar?: MetricExemplarLabels): void;
+  /** Forwards every observation to another collector; returns an unsubscribe function */
+  use(collector: MetricsCollector): () => void;
+  snapshot(): MetricFamilySnapshot[];
+  /** Prometheus text exposition format */
+  toPrometheus(): string;
+  /** OpenMetrics text format with trace exemplars, terminated by `# EOF` */
+  toOpenMetrics(): string;
+  clear(): void;
+}
+
+/** Registry that metrics-decorated functions report to by default */
+export declare const metricsRegistry: MetricsRegistry;
+
+// ===== TRACING =====
+
+export type SpanStatusCode = 'UNSET' | 'OK' | 'ERROR';
+
+export interface SpanEvent {
+  name: string;
+  /** Epoch milliseconds */
+  time: number;
+  attributes: Record<string, any>;
+}
+
+export interface SpanParent {
+  traceId: string;
+  spanId: string;
+}
+
+export declare class Span implements SpanParent {
+  constructor(name: string, parent?: SpanParent | null, attributes?: Record<string, any>);
+
+  readonly name: string;
+  readonly traceId: string;
+  readonly spanId: string;
+  readonly parentSpanId: string | null;
+  /** Epoch milliseconds */
+  readonly startTime: number;
+  readonly endTime: number | null;
+  readonly durationMs: number | null;
+  readonly attributes: Record<string, any>;
+  readonly events: SpanEvent[];
+  readonly status: { code: SpanStatusCode; message?: string };
+
+  setAttribute(key: string, value: any): this;
+  addEvent(name: string, attributes?: Record<string, any>): this;
+  /** Adds an OpenTelemetry-style 'exception' event */
+  recordException(error: any): this;
+  setStatus(code: SpanStatusCode, message?: string): this;
+  end(): this;
+}
+
+export interface SpanExporter {
+  export(spans: Span[]): void | Promise<void>;
+}
+
+export declare class Tracer {
+  constructor(options?: { exporters?: SpanExporter[] });
+
+  activeSpan(): Span | undefined;
+  /** Parent defaults to the active span; pass null to start a new trace */
+  startSpan(name: string, options?: { parent?: SpanParent | null; attributes?: Record<string, any> }): Span;
+  /** Runs fn with the span active (across awaits in Node) */
+  withSpan<R>(span: Span, fn: () => R): R;
+  /** Returns a function that removes the exporter */
+  addExporter(exporter: SpanExporter): () => void;
+  /** Ends the span and exports it */
+  finish(span: Span): void;
+  /**
+   * Whether the active span follows awaits and timers (AsyncLocalStorage). False outside Node,
+   * and in Node when async_hooks cannot be loaded (a warning is logged once)
+   */
+  readonly propagatesAsync: boolean;
+}
+
+/** Tracer used by trace, logExecution and metrics by default */
+export declare const tracer: Tracer;
+
+export declare class InMemorySpanExporter implements SpanExporter {
+  export(spans: Span[]): void;
+  getFinishedSpans(): Span[];
+  reset(): void;
+}
+
+export declare class OtlpJsonFileExporter implements SpanExporter {
+  constructor(filePath: string, options?: { serviceName?: string; fs?: any });
+  /** Appends one OTLP/JSON ExportTraceServiceRequest line */
+  export(spans: Span[]): void;
+
+  readonly filePath: string;
+}
+
+export interface TraceOptions {
+  /** Span name (defaults to the method name) */
+  name?: string;
+  attributes?: Record<string, any> | ((...args: any[]) => Record<string, any>);
+  /** Explicit parent, for platforms where the active span does not survive an await */
+  parent?: (...args: any[]) => SpanParent | null | undefined;
+  tracer?: Tracer;
 }
 
 // ===== SUPER MATRIX OPTIONS =====
 
 export interface SuperMatrixOptions {
   // 1. Cache options
-  cache?: CacheType | { type: CacheType; maxsize?: number };
+  cache?: CacheType | CacheOptions;
   
   // 2. Protection options
   protect?: ProtectionLevel;
@@ -116,7 +687,7 @@ export interface SuperMatrixOptions {
   log?: boolean | LogOptions;
   
   // 4. Repeat options
-  repeat?: number | { times: number; delay?: number };
+  repeat?: number | RepeatOptions | [number, number];
   
   // 5. Loop optimization
   loop?: boolean;
@@ -134,13 +705,13 @@ export interface SuperMatrixOptions {
   immutable?: boolean | ImmutableOptions;
   
   // 10. Time limit
-  timeLimit?: number;
+  timeLimit?: number | TimeLimitOptions | [number, TimeLimitOptions];
   
   // 11. Debounce
-  debounce?: number;
+  debounce?: number | DebounceOptions | [number, DebounceOptions];
   
   // 12. Throttle
-  throttle?: number;
+  throttle?: number | ThrottleOptions | [number, ThrottleOptions];
   
   // 13. Async retry
   asyncRetry?: boolean | AsyncRetryOptions;
@@ -153,6 +724,15 @@ export interface SuperMatrixOptions {
   
   // 16. Metrics
   metrics?: boolean | MetricsOptions;
+  
+  // 18. Circuit breaker
+  circuitBreaker?: boolean | CircuitBreakerOptions;
+  
+  // 19. Bulkhead
+  bulkhead?: boolean | BulkheadOptions;
+
+  // 20. Trace
+  trace?: boolean | string | TraceOptions;
 }
 
 // ===== FUNCTION TYPES =====
@@ -161,11 +741,47 @@ export type AnyFunction = (...args: any[]) => any;
 export type AsyncFunction = (...args: any[]) => Promise<any>;
 
 export type CachedFunction<T extends AnyFunction> = T & {
-  cache_info(): CacheInfo;
-  cache_clear(): void;
+  /** With instance scope, pass an instance for its own stats; otherwise all instances are summed */
+  cache_info(instance?: object): CacheInfo;
+  cache_clear(instance?: object): void;
+  cache_ready(): Promise<void>;
+  /** Removes entries stored with the tag; returns how many were removed */
+  cache_invalidate(tag: string, instance?: object): number;
+  /** Name under which the cache is registered, or null */
+  readonly cache_name: string | null;
   __wrapped__: T;
 };
 
+export type CircuitBreakerFunction<T extends AnyFunction> = T & {
+  circuitState(): CircuitState;
+  circuitStats(): CircuitStats;
+  /** Holds the circuit open until close() is called */
+  open(): void;
+  close(): void;
+  /** Returns an unsubscribe function */
+  onStateChange(listener: (state: CircuitState, previous: CircuitState) => void): () => void;
+};
+
+export type DebouncedFunction<T extends AnyFunction> = ((...args: Parameters<T>) => Promise<Awaited<ReturnType<T>>>) & {
+  /** Drops pending calls for one instance, or all of them when omitted */
+  cancel(instance?: object): void;
+  /** Runs pending calls now and resolves with the result */
+  flush(instance?: object): Promise<Awaited<ReturnType<T>> | undefined>;
+  pending(instance?: object): boolean;
+};
+
+export type ThrottledFunction<T extends AnyFunction> = ((...args: Parameters<T>) => ReturnType<T> | undefined) & {
+  /** Drops pending trailing calls and restarts the interval, for one instance or all */
+  cancel(instance?: object): void;
+};
+
+export type BulkheadFunction<T extends AnyFunction> = ((...args: Parameters<T>) => Promise<Awaited<ReturnType<T>>>) & {
+  /** Counts for one instance or resolved key; totals when omitted */
+  bulkheadStats(partition?: object | string): BulkheadStats;
+  readonly active: number;
+  readonly queued: number;
+};
+
 export type ProtectedFunction<T extends AnyFunction> = T;
 export type LoggedFunction<T extends AnyFunction> = T;
 export type ImmutableFunction<T extends AnyFunction> = T;
@@ -186,20 +802,114 @@ export type UniversalDecorator<T extends AnyFunction = AnyFunction> =
 
 // ===== CORE CLASSES =====
 
+export interface CacheEntry<V = any> {
+  value: V;
+  expires: number;
+  staleUntil: number;
+  tags?: string[];
+  /** The value was resolved from a Promise, so cache hits return a Promise too */
+  async?: boolean;
+}
+
+type MaybePromise<T> = T | Promise<T>;
+
+/**
+ * Storage backend for UniversalLRU. Every method may be synchronous or async;
+ * a plain Map satisfies the synchronous variant.
+ */
+export interface CacheStore<V = any> {
+  get(key: string): MaybePromise<CacheEntry<V> | undefined>;
+  set(key: string, entry: CacheEntry<V>): MaybePromise<unknown>;
+  delete(key: string): MaybePromise<unknown>;
+  clear(): MaybePromise<void>;
+  entries(): MaybePromise<Iterable<[string, CacheEntry<V>]>>;
+}
+
+export interface UniversalLRUOptions {
+  ttl?: number;
+  staleWhileRevalidate?: number;
+  store?: CacheStore;
+  policy?: EvictionPolicyName | EvictionPolicy;
+  maxWeight?: number;
+  sizeOf?: (value: any) => number;
+}
+
+export interface FileStoreOptions {
+  serialize?: (entries: Array<[string, CacheEntry]>) => string;
+  deserialize?: (raw: string) => Array<[string, CacheEntry]>;
+  /** Batch writes for this many milliseconds (default 100; 0 = write on every change). Pending writes are flushed on process exit */
+  flushDelay?: number;
+  /** Custom fs implementation (defaults to Node's fs) */
+  fs?: any;
+}
+
+export declare class FileStore implements CacheStore {
+  constructor(filePath: string, options?: FileStoreOptions);
+
+  get(key: string): CacheEntry | undefined;
+  set(key: string, entry: CacheEntry): void;
+  delete(key: string): void;
+  clear(): void;
+  entries(): IterableIterator<[string, CacheEntry]>;
+  flush(): void;
+
+  readonly filePath: string;
+}
+
 export declare class UniversalLRU {
-  constructor(maxSize?: number);
+  constructor(maxSize?: number, options?: UniversalLRUOptions);
   
   get(key: string): any;
-  set(key: string, value: any): void;
+  getEntry(key: string, allowStale?: boolean): CacheEntry | undefined;
+  set(key: string, value: any, ttl?: number, tags?: string[], async?: boolean): void;
+  delete(key: string): boolean;
+  invalidateTag(tag: string): number;
+  isStale(entry: CacheEntry): boolean;
+  prune(): void;
   info(): CacheInfo;
   clear(): void;
   
   readonly maxSize: number;
-  readonly cache: Map<string, any>;
+  readonly ttl: number;
+  readonly staleWhileRevalidate: number;
+  readonly cache: Map<string, CacheEntry>;
+  readonly store: CacheStore | null;
+  readonly policy: EvictionPolicy;
+  readonly maxWeight: number;
+  readonly totalWeight: number;
+  evictions: EvictionCounts;
+  /** Resolves once the store's entries have been loaded */
+  readonly ready: Promise<void>;
   hits: number;
   misses: number;
+  expirations: number;
 }
 
+export interface CacheRegistrySummary {
+  caches: Record<string, CacheInfo>;
+  totals: {
+    caches: number;
+    hits: number;
+    misses: number;
+    expirations: number;
+    currsize: number;
+    ratio: number;
+  };
+}
+
+export declare class CacheRegistry {
+  register(name: string, cachedFn: CachedFunction<AnyFunction>): string;
+  unregister(name: string): boolean;
+  get(name: string): CachedFunction<AnyFunction> | undefined;
+  names(): string[];
+  invalidateTag(tag: string): number;
+  clear(name: string): boolean;
+  clearAll(): void;
+  summary(): CacheRegistrySummary;
+}
+
+export declare const cacheRegistry: CacheRegistry;
+
 // ===== THE 17 MAIN DECORATORS =====
 
 /**
@@ -207,7 +917,11 @@ export declare class UniversalLRU {
  */
 export declare function super_cache<T extends AnyFunction>(
   type?: CacheType,
-  maxsize?: number
+  maxsize?: number,
+  options?: CacheOptions
+): UniversalDecorator<CachedFunction<T>>;
+export declare function super_cache<T extends AnyFunction>(
+  options: CacheOptions
 ): UniversalDecorator<CachedFunction<T>>;
 
 /**
@@ -229,7 +943,11 @@ export declare function logExecution<T extends AnyFunction>(
  */
 export declare function repeat<T extends AnyFunction>(
   times?: number,
-  delay?: number
+  delay?: number,
+  options?: Omit<RepeatOptions, 'times' | 'delay'>
+): UniversalDecorator<T>;
+export declare function repeat<T extends AnyFunction>(
+  options: RepeatOptions
 ): UniversalDecorator<T>;
 
 /**
@@ -238,11 +956,11 @@ export declare function repeat<T extends AnyFunction>(
 export declare function loop_optimize<T extends AnyFunction>(): UniversalDecorator<T>;
 
 /**
- * 6. SEARCH_OPTIMIZE - Optimize search operations
+ * 6. SEARCH_OPTIMIZE - Narrow (collection, query) searches through cached indexes
  */
 export declare function search_optimize<T extends AnyFunction>(
   options?: SearchOptions
-): UniversalDecorator<T>;
+): UniversalDecorator<IndexedSearchFunction<T>>;
 
 /**
  * 7. VAR_GUARD - Variable protection
@@ -270,22 +988,34 @@ export declare function immutable<T extends AnyFunction>(
  * 10. TIME_LIMIT - Stop function if it exceeds time limit
  */
 export declare function time_limit<T extends AnyFunction>(
-  milliseconds?: number
+  milliseconds?: number,
+  options?: TimeLimitOptions
+): UniversalDecorator<T>;
+export declare function time_limit<T extends AnyFunction>(
+  options: TimeLimitOptions
 ): UniversalDecorator<T>;
 
 /**
  * 11. DEBOUNCE - Prevent multiple calls within a period
  */
 export declare function debounce<T extends AnyFunction>(
-  delay?: number
-): UniversalDecorator<T>;
+  delay?: number,
+  options?: Omit<DebounceOptions, 'delay'>
+): UniversalDecorator<DebouncedFunction<T>>;
+export declare function debounce<T extends AnyFunction>(
+  options: DebounceOptions
+): UniversalDecorator<DebouncedFunction<T>>;
 
 /**
  * 12. THROTTLE - Limit number of calls
  */
 export declare function throttle<T extends AnyFunction>(
-  interval?: number
-): UniversalDecorator<T>;
+  interval?: number,
+  options?: Omit<ThrottleOptions, 'interval'>
+): UniversalDecorator<ThrottledFunction<T>>;
+export declare function throttle<T extends AnyFunction>(
+  options: ThrottleOptions
+): UniversalDecorator<ThrottledFunction<T>>;
 
 /**
  * 13. ASYNC_RETRY - Retry async functions on failure
@@ -313,7 +1043,7 @@ export declare function rate_limit<T extends AnyFunction>(
  */
 export declare function metrics<T extends AnyFunction>(
   options?: MetricsOptions
-): UniversalDecorator<T>;
+): UniversalDecorator<MeasuredFunction<T>>;
 
 /**
  * 17. SUPER_MATRIX - Combined decorator that applies multiple decorators
@@ -322,6 +1052,31 @@ export declare function super_matrix<T extends AnyFunction>(
   options?: SuperMatrixOptions
 ): UniversalDecorator<T>;
 
+/**
+ * 18. CIRCUIT_BREAKER - Fail fast with CircuitOpenError while a dependency is failing
+ */
+export declare function circuit_breaker<T extends AnyFunction>(
+  options?: CircuitBreakerOptions
+): UniversalDecorator<CircuitBreakerFunction<T>>;
+
+/**
+ * 19. BULKHEAD - Cap concurrent calls and queue the rest
+ */
+export declare function bulkhead<T extends AnyFunction>(
+  options?: BulkheadOptions
+): UniversalDecorator<BulkheadFunction<T>>;
+
+/**
+ * 20. TRACE - Open a span per call
+ */
+export declare function trace<T extends AnyFunction>(
+  name?: string,
+  options?: Omit<TraceOptions, 'name'>
+): UniversalDecorator<T>;
+export declare function trace<T extends AnyFunction>(
+  options?: TraceOptions
+): UniversalDecorator<T>;
+
 // ===== UTILITY FUNCTIONS =====
 
 /**
@@ -337,6 +1092,25 @@ export declare function decorate<T extends AnyFunction>(
  */
 export declare function fastKey(args: any[]): string;
 
+/**
+ * Collision-safe structural key generation
+ */
+export declare function stableKey(args: any[]): string;
+
+/**
+ * Identity-based key generation for object arguments
+ */
+export declare function identityKey(args: any[]): string;
+
+/** Converts a {@link Duration} to milliseconds; throws DecoratorError when it cannot be parsed. */
+export declare function parseDuration(value: Duration): number;
+
+/** Console transport: ANSI colors in Node, %c styles in browsers */
+export declare function createPrettyTransport(): LogTransport;
+
+/** Newline-delimited JSON transport; writes to stdout in Node by default */
+export declare function createJsonTransport(stream?: { write(line: string): any }): LogTransport;
+
 // ===== ENVIRONMENT DETECTION =====
 
 export interface EnvironmentInfo {
@@ -450,14 +1224,35 @@ export interface CompleteDecorators extends Partial<ReactIntegration> {
   rate_limit: typeof rate_limit;
   metrics: typeof metrics;
   super_matrix: typeof super_matrix;
+  circuit_breaker: typeof circuit_breaker;
+  bulkhead: typeof bulkhead;
+  trace: typeof trace;
 
   // Utility functions
   decorate: typeof decorate;
 
   // Core utilities
   UniversalLRU: typeof UniversalLRU;
+  FileStore: typeof FileStore;
+  nodeModulesReady: typeof nodeModulesReady;
+  CacheRegistry: typeof CacheRegistry;
+  cacheRegistry: CacheRegistry;
   universalLog: UniversalLogger;
   fastKey: typeof fastKey;
+  stableKey: typeof stableKey;
+  identityKey: typeof identityKey;
+  parseDuration: typeof parseDuration;
+  MemoryRateLimitStore: typeof MemoryRateLimitStore;
+  FileLockRateLimitStore: typeof FileLockRateLimitStore;
+  MetricsRegistry: typeof MetricsRegistry;
+  metricsRegistry: MetricsRegistry;
+  createPrettyTransport: typeof createPrettyTransport;
+  createJsonTransport: typeof createJsonTransport;
+  Tracer: typeof Tracer;
+  tracer: Tracer;
+  Span: typeof Span;
+  InMemorySpanExporter: typeof InMemorySpanExporter;
+  OtlpJsonFileExporter: typeof OtlpJsonFileExporter;
   ENV: EnvironmentInfo;
 
   // Framework integrations (conditional)
@@ -493,17 +1288,39 @@ export class TimeoutError extends DecoratorError {
 }
 
 export class RetryError extends DecoratorError {
-  constructor(message: string, attempts: number, originalError?: Error);
+  constructor(message: string, attempts: number, lastError?: Error, errors?: any[], timings?: RetryAttempt[]);
+  readonly attempts: number;
+  readonly lastError?: Error;
+  readonly errors: any[];
+  readonly timings: RetryAttempt[];
 }
 
 export class ValidationError extends DecoratorError {
-  constructor(message: string, fieldName?: string, originalError?: Error);
+  constructor(message: string, fieldName?: string, errors?: ValidationIssue[]);
+  readonly fieldName?: string;
+  /** Every problem found, not just the first */
+  readonly errors: ValidationIssue[];
 }
 
 export class RateLimitError extends DecoratorError {
   constructor(message: string, retryAfter?: number, originalError?: Error);
 }
 
+export class BulkheadRejectedError extends DecoratorError {
+  constructor(message: string, reason: 'queue-full' | 'queue-timeout');
+  readonly reason: 'queue-full' | 'queue-timeout';
+}
+
+export class CancelledError extends DecoratorError {
+  constructor(message: string, decoratorName: string);
+}
+
+export class CircuitOpenError extends DecoratorError {
+  constructor(message: string, retryAfter?: number);
+  /** Milliseconds until trial calls are allowed (undefined while forced open) */
+  readonly retryAfter?: number;
+}
+
 // ===== CONFIGURATION =====
 
 export interface GlobalConfig {
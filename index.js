@@ -5,6 +5,8 @@
  * @version 5.3.2 - Fixed All Issues
  */
 
+/* global WeakRef, Atomics, SharedArrayBuffer */
+
 // ===== CORE UTILITIES =====
 export const ENV = {
     isNode: typeof process !== 'undefined' && process?.versions?.node,
@@ -21,6 +23,105 @@ export const fastKey = (args) => {
     return args.join('|');
 };
 
+// Identity ids for values that have no structural representation (class instances, functions)
+const objectIds = new WeakMap();
+const symbolIds = new Map();
+let nextIdentity = 0;
+
+const identityOf = (value) => {
+    const ids = typeof value === 'symbol' ? symbolIds : objectIds;
+    let id = ids.get(value);
+    if (id === undefined) {
+        id = ++nextIdentity;
+        ids.set(value, id);
+    }
+    return '#' + id;
+};
+
+const isPlainObject = (value) => {
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+};
+
+// Type-tagged encoding: '1' and 1, 'a|b' and ['a', 'b'] never produce the same string
+const encodePrimitive = (value) => {
+    switch (typeof value) {
+        case 'string': return JSON.stringify(value);
+        case 'number': return Object.is(value, -0) ? '-0' : String(value);
+        case 'bigint': return value + 'n';
+        case 'symbol': {
+            const shared = Symbol.keyFor(value);
+            return shared !== undefined ? `Symbol.for(${JSON.stringify(shared)})` : identityOf(value);
+        }
+        default: return String(value);
+    }
+};
+
+const encodeValue = (value, stack) => {
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+        return encodePrimitive(value);
+    }
+    if (typeof value === 'function') return identityOf(value);
+    if (stack.has(value)) return '~cycle';
+
+    stack.add(value);
+    let encoded;
+    if (Array.isArray(value)) {
+        encoded = '[' + value.map(item => encodeValue(item, stack)).join(',') + ']';
+    } else if (value instanceof Date) {
+        encoded = `Date(${value.getTime()})`;
+    } else if (value instanceof RegExp) {
+        encoded = `RegExp(${value.source}/${value.flags})`;
+    } else if (value instanceof Map) {
+        const items = [...value].map(([k, v]) => encodeValue(k, stack) + '=>' + encodeValue(v, stack));
+        encoded = 'Map{' + items.sort().join(',') + '}';
+    } else if (value instanceof Set) {
+        encoded = 'Set{' + [...value].map(item => encodeValue(item, stack)).sort().join(',') + '}';
+    } else if (isPlainObject(value)) {
+        encoded = '{' + Object.keys(value).sort()
+            .map(k => JSON.stringify(k) + ':' + encodeValue(value[k], stack))
+            .join(',') + '}';
+    } else {
+        encoded = identityOf(value);
+    }
+    stack.delete(value);
+    return encoded;
+};
+
+// Collision-safe key: plain objects, arrays, Dates, Maps and Sets are hashed by content,
+// class instances and functions by identity
+export const stableKey = (args) => {
+    if (!args || args.length === 0) return '';
+    return encodeValue(Array.from(args), new Set());
+};
+
+// Every object argument is keyed by identity, primitives by value
+export const identityKey = (args) => {
+    if (!args || args.length === 0) return '';
+    return Array.from(args, arg => (arg !== null && (typeof arg === 'object' || typeof arg === 'function'))
+        ? identityOf(arg)
+        : encodePrimitive(arg)
+    ).join(',');
+};
+
+const keyStrategies = { fast: fastKey, structural: stableKey, identity: identityKey };
+
+// Turns a key option ('fast' | 'structural' | 'identity' | resolver function) into args => string.
+// Resolver results that are not strings are hashed structurally.
+const createKeyResolver = (key = 'structural') => {
+    if (typeof key === 'function') {
+        return (args) => {
+            const resolved = key(...args);
+            return typeof resolved === 'string' ? resolved : stableKey([resolved]);
+        };
+    }
+    const strategy = keyStrategies[key];
+    if (!strategy) {
+        throw new DecoratorError(`Unknown key strategy "${key}"`, 'keyResolver');
+    }
+    return strategy;
+};
+
 export const universalLog = {
     info: (...args) => console.log('%c[INFO]', 'color: blue', ...args),
     warn: (...args) => console.warn('%c[WARN]', 'color: orange', ...args),
@@ -28,54 +129,595 @@ export const universalLog = {
     debug: (...args) => console.log('%c[DEBUG]', 'color: gray', ...args)
 };
 
+// Native ESM before Node 20.16 has neither require nor process.getBuiltinModule, so the
+// built-ins used here are imported right away and served from this map once loaded
+const preloadedModules = new Map();
+const needsPreload = Boolean(ENV.isNode) && typeof process.getBuiltinModule !== 'function' && typeof require !== 'function';
+
+/** Resolves once Node built-ins can be loaded synchronously (immediately outside native ESM) */
+export const nodeModulesReady = needsPreload
+    ? Promise.all(['fs', 'async_hooks'].map(name =>
+        import(/* webpackIgnore: true */ /* @vite-ignore */ name).then(
+            (mod) => { preloadedModules.set(name, mod.default || mod); },
+            () => {}
+        )
+    )).then(() => {})
+    : Promise.resolve();
+
+// Loads a Node built-in lazily so browser bundles never pull it in
+const nodeModule = (name) => {
+    if (ENV.isNode) {
+        if (typeof process.getBuiltinModule === 'function') return process.getBuiltinModule(name);
+        if (typeof require === 'function') return require(name);
+        if (preloadedModules.has(name)) return preloadedModules.get(name);
+        throw new DecoratorError(`Node module "${name}" is still loading; await nodeModulesReady or pass it in the options`, 'nodeModule');
+    }
+    throw new DecoratorError(`Node module "${name}" is not available in this environment`, 'nodeModule');
+};
+
+const durationUnits = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// Milliseconds from a number or a string such as '250ms', '1.5s', '15m', '1h' or '2d'
+export const parseDuration = (value) => {
+    if (typeof value === 'number' && value >= 0) return value;
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/.exec(String(value));
+    if (!match) {
+        throw new DecoratorError(`Invalid duration "${value}"`, 'parseDuration');
+    }
+    return parseFloat(match[1]) * durationUnits[match[2] || 'ms'];
+};
+
+// ===== EVICTION POLICIES =====
+// A policy observes accesses, inserts and deletes, names the next victim and may refuse to admit
+// a new key. UniversalLRU keeps its `cache` Map ordered from least to most recently used.
+class LRUPolicy {
+    recordAccess() {}
+    recordInsert() {}
+    recordDelete() {}
+    victim(cache) {
+        return cache.keys().next().value;
+    }
+    admit() {
+        return true;
+    }
+}
+
+// Evicts the least frequently used key; ties go to the least recently used one. Keys sit in
+// frequency buckets (insertion-ordered Sets) on a list sorted by count, so every operation,
+// eviction included, is O(1).
+class LFUPolicy extends LRUPolicy {
+    constructor() {
+        super();
+        this.buckets = new Map(); // key -> { count, keys, prev, next }
+        this.head = null;
+    }
+    // New bucket right after `prev` (null = at the head)
+    link(count, prev) {
+        const next = prev ? prev.next : this.head;
+        const bucket = { count, keys: new Set(), prev, next };
+        if (prev) prev.next = bucket;
+        else this.head = bucket;
+        if (next) next.prev = bucket;
+        return bucket;
+    }
+    // Takes the key out of `bucket`, dropping the bucket once it is empty
+    remove(key, bucket) {
+        bucket.keys.delete(key);
+        if (bucket.keys.size > 0) return;
+        if (bucket.prev) bucket.prev.next = bucket.next;
+        else this.head = bucket.next;
+        if (bucket.next) bucket.next.prev = bucket.prev;
+    }
+    place(key, count, prev) {
+        const candidate = prev ? prev.next : this.head;
+        const bucket = candidate && candidate.count === count ? candidate : this.link(count, prev);
+        bucket.keys.add(key);
+        this.buckets.set(key, bucket);
+    }
+    recordAccess(key, hit) {
+        const bucket = hit && this.buckets.get(key);
+        if (!bucket) return;
+        // Place first: removing may drop `bucket` from the list
+        this.place(key, bucket.count + 1, bucket);
+        this.remove(key, bucket);
+    }
+    recordInsert(key) {
+        if (!this.buckets.has(key)) this.place(key, 1, null);
+    }
+    recordDelete(key) {
+        const bucket = this.buckets.get(key);
+        if (!bucket) return;
+        this.buckets.delete(key);
+        this.remove(key, bucket);
+    }
+    victim(cache) {
+        // A key being overwritten is briefly out of `cache` but still counted
+        for (let bucket = this.head; bucket; bucket = bucket.next) {
+            for (const key of bucket.keys) {
+                if (cache.has(key)) return key;
+            }
+        }
+        return undefined;
+    }
+}
+
+// LRU eviction behind a TinyLFU admission filter: a count-min sketch estimates how often every key
+// (cached or not) was requested, and a newcomer only replaces the victim if it is requested more
+// often. Counters are halved periodically so old popularity fades.
+class TinyLFUPolicy extends LRUPolicy {
+    constructor(maxSize = 128) {
+        super();
+        this.width = 16;
+        while (this.width < maxSize * 4) this.width *= 2;
+        this.rows = [0, 1, 2, 3].map(() => new Uint8Array(this.width));
+        this.additions = 0;
+        this.sampleSize = this.width * 10;
+    }
+    index(key, seed) {
+        // FNV-1a with a per-row seed
+        const text = String(key);
+        let hash = 2166136261 ^ seed;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return (hash >>> 0) & (this.width - 1);
+    }
+    frequency(key) {
+        return Math.min(...this.rows.map((row, seed) => row[this.index(key, seed)]));
+    }
+    recordAccess(key) {
+        this.rows.forEach((row, seed) => {
+            const i = this.index(key, seed);
+            if (row[i] < 15) row[i]++;
+        });
+        if (++this.additions >= this.sampleSize) {
+            this.rows.forEach(row => row.forEach((count, i) => { row[i] = count >> 1; }));
+            this.additions = Math.floor(this.additions / 2);
+        }
+    }
+    admit(candidate, victim) {
+        return this.frequency(candidate) > this.frequency(victim);
+    }
+}
+
+const evictionPolicies = { lru: LRUPolicy, lfu: LFUPolicy, tinylfu: TinyLFUPolicy };
+
+const createPolicy = (policy = 'lru', maxSize) => {
+    if (policy && typeof policy === 'object') return policy;
+    const Policy = evictionPolicies[policy];
+    if (!Policy) {
+        throw new DecoratorError(`Unknown eviction policy "${policy}"`, 'UniversalLRU');
+    }
+    return new Policy(maxSize);
+};
+
+// Rough in-memory footprint in bytes; the default sizeOf when only maxWeight is given
+const approximateSize = (value, seen = new Set()) => {
+    switch (typeof value) {
+        case 'string': return value.length * 2;
+        case 'number': case 'bigint': return 8;
+        case 'boolean': return 4;
+        case 'object': {
+            if (value === null || seen.has(value)) return 0;
+            seen.add(value);
+            if (ArrayBuffer.isView(value)) return value.byteLength;
+            const items = value instanceof Map ? [...value].flat() : value instanceof Set ? [...value] : null;
+            if (items) return items.reduce((sum, item) => sum + approximateSize(item, seen), 0);
+            return Object.keys(value).reduce(
+                (sum, key) => sum + key.length * 2 + approximateSize(value[key], seen), 0
+            );
+        }
+        default: return 0;
+    }
+};
+
 // ===== CLASSES =====
+/**
+ * Cache stores hold entries ({ value, expires, staleUntil }) outside the LRU's in-memory index.
+ * A store implements get(key), set(key, entry), delete(key), clear() and entries(); every method
+ * may be synchronous or return a Promise. A plain Map is a valid synchronous store.
+ *
+ * UniversalLRU writes through to its store and reloads the store's entries on construction
+ * (`lru.ready` resolves once loading finishes). Reads are served from memory; on a miss a
+ * synchronous store is consulted before the miss is counted.
+ *
+ * Capacity is bounded by entry count (maxSize) and optionally by total weight (maxWeight, with
+ * weights from sizeOf(value)). Which entry goes first is decided by the policy: 'lru' (default),
+ * 'lfu', 'tinylfu' or an object implementing recordAccess/recordInsert/recordDelete/victim/admit.
+ *
+ * Entries may carry tags; invalidateTag(tag) deletes every entry stored with that tag.
+ */
 export class UniversalLRU {
-    constructor(maxSize = 128) {
+    constructor(maxSize = 128, options = {}) {
         this.maxSize = maxSize;
+        this.ttl = options.ttl || 0;
+        this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+        this.store = options.store || null;
+        this.maxWeight = options.maxWeight || 0;
+        this.sizeOf = options.sizeOf || approximateSize;
+        this.policy = createPolicy(options.policy, maxSize);
         this.cache = new Map();
+        this.weights = new Map();
+        this.tagIndex = new Map();
+        this.totalWeight = 0;
         this.hits = 0;
         this.misses = 0;
+        this.expirations = 0;
+        this.evictions = { size: 0, weight: 0, rejected: 0 };
+        this.ready = this.store ? this.load() : Promise.resolve();
     }
 
-    get(key) {
-        if (this.cache.has(key)) {
-            const value = this.cache.get(key);
-            this.cache.delete(key);
-            this.cache.set(key, value);
-            this.hits++;
-            return value;
+    // Populates memory from the store, keeping anything written since construction
+    load() {
+        const hydrate = (entries) => {
+            for (const [key, entry] of entries || []) {
+                if (!this.cache.has(key) && entry && entry.staleUntil > Date.now()) {
+                    this.insert(key, entry);
+                }
+            }
+        };
+        try {
+            const entries = this.store.entries();
+            if (isThenable(entries)) {
+                return Promise.resolve(entries).then(hydrate, error => {
+                    universalLog.warn('Cache store failed to load:', error);
+                });
+            }
+            hydrate(entries);
+        } catch (error) {
+            universalLog.warn('Cache store failed to load:', error);
+        }
+        return Promise.resolve();
+    }
+
+    // Mirrors a change into the store; store failures are logged, never thrown to callers
+    persist(operation, ...args) {
+        if (!this.store) return;
+        const report = error => universalLog.warn(`Cache store ${operation} failed:`, error);
+        try {
+            const result = this.store[operation](...args);
+            if (isThenable(result)) result.then(undefined, report);
+        } catch (error) {
+            report(error);
+        }
+    }
+
+    // Looks up a synchronous store when memory misses
+    readThrough(key) {
+        if (!this.store || typeof this.store.get !== 'function') return undefined;
+        try {
+            const entry = this.store.get(key);
+            if (entry && !isThenable(entry) && entry.staleUntil > Date.now()) {
+                this.insert(key, entry);
+                return entry;
+            }
+        } catch (error) {
+            universalLog.warn('Cache store get failed:', error);
+        }
+        return undefined;
+    }
+
+    // Removes an entry from memory without telling the policy or the store
+    detach(key) {
+        const entry = this.cache.get(key);
+        if (entry && entry.tags) {
+            for (const tag of entry.tags) {
+                const keys = this.tagIndex.get(tag);
+                keys.delete(key);
+                if (keys.size === 0) this.tagIndex.delete(tag);
+            }
+        }
+        this.totalWeight -= this.weights.get(key) || 0;
+        this.weights.delete(key);
+        return this.cache.delete(key);
+    }
+
+    // Adds an entry to memory only, evicting per policy until it fits.
+    // Returns false when the entry is rejected (too heavy, or refused by the admission filter).
+    insert(key, entry) {
+        const weight = this.maxWeight > 0 ? this.sizeOf(entry.value) : 0;
+        const existed = this.detach(key);
+        if (weight > this.maxWeight && this.maxWeight > 0) {
+            if (existed) this.delete(key);
+            this.evictions.rejected++;
+            return false;
+        }
+        let admitted = existed;
+        while (this.cache.size > 0 && (this.cache.size >= this.maxSize ||
+            (this.maxWeight > 0 && this.totalWeight + weight > this.maxWeight))) {
+            const reason = this.cache.size >= this.maxSize ? 'size' : 'weight';
+            const victim = this.policy.victim(this.cache);
+            if (victim === undefined) break;
+            if (!admitted && !this.policy.admit(key, victim)) {
+                this.evictions.rejected++;
+                return false;
+            }
+            admitted = true;
+            this.delete(victim);
+            this.evictions[reason]++;
+        }
+        this.cache.set(key, entry);
+        this.weights.set(key, weight);
+        this.totalWeight += weight;
+        for (const tag of entry.tags || []) {
+            if (!this.tagIndex.has(tag)) this.tagIndex.set(tag, new Set());
+            this.tagIndex.get(tag).add(key);
+        }
+        if (!existed) this.policy.recordInsert(key);
+        return true;
+    }
+
+    // Returns the stored entry ({ value, expires, staleUntil }) instead of the bare value.
+    // With allowStale, entries past their TTL but inside the stale window still count as hits.
+    getEntry(key, allowStale = false) {
+        const entry = this.cache.get(key) || this.readThrough(key);
+        if (entry !== undefined) {
+            const now = Date.now();
+            if (entry.staleUntil <= now) {
+                this.delete(key);
+                this.expirations++;
+            } else if (allowStale || entry.expires > now) {
+                this.cache.delete(key);
+                this.cache.set(key, entry);
+                this.policy.recordAccess(key, true);
+                this.hits++;
+                return entry;
+            }
         }
+        this.policy.recordAccess(key, false);
         this.misses++;
         return undefined;
     }
 
-    set(key, value) {
-        if (this.cache.has(key)) {
-            this.cache.delete(key);
-        } else if (this.cache.size >= this.maxSize) {
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
+    get(key) {
+        const entry = this.getEntry(key);
+        return entry === undefined ? undefined : entry.value;
+    }
+
+    // `async` marks a value that was resolved from a Promise; it is stored (and persisted) with
+    // the entry so hits can be handed back as Promises again, even after a restart
+    set(key, value, ttl = this.ttl, tags = [], async = false) {
+        const expires = ttl > 0 ? Date.now() + ttl : Infinity;
+        const entry = { value, expires, staleUntil: expires + this.staleWhileRevalidate };
+        if (tags.length > 0) entry.tags = [...new Set(tags)];
+        if (async) entry.async = true;
+        if (this.insert(key, entry)) this.persist('set', key, entry);
+    }
+
+    delete(key) {
+        const existed = this.detach(key);
+        this.policy.recordDelete(key);
+        this.persist('delete', key);
+        return existed;
+    }
+
+    // Deletes every entry stored with the tag and returns how many were removed
+    invalidateTag(tag) {
+        const keys = [...(this.tagIndex.get(tag) || [])];
+        keys.forEach(key => this.delete(key));
+        return keys.length;
+    }
+
+    isStale(entry) {
+        return entry.expires <= Date.now();
+    }
+
+    // Drops every entry whose stale window has passed
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of this.cache) {
+            if (entry.staleUntil <= now) {
+                this.delete(key);
+                this.expirations++;
+            }
         }
-        this.cache.set(key, value);
     }
 
     info() {
+        this.prune();
         const total = this.hits + this.misses;
         return {
             hits: this.hits,
             misses: this.misses,
+            expirations: this.expirations,
+            evictions: { ...this.evictions },
             maxsize: this.maxSize,
             currsize: this.cache.size,
+            maxweight: this.maxWeight,
+            currweight: this.totalWeight,
             ratio: total > 0 ? +(this.hits / total * 100).toFixed(1) : 0
         };
     }
 
     clear() {
+        for (const key of this.cache.keys()) this.policy.recordDelete(key);
         this.cache.clear();
-        this.hits = this.misses = 0;
+        this.weights.clear();
+        this.tagIndex.clear();
+        this.totalWeight = 0;
+        this.persist('clear');
+        this.hits = this.misses = this.expirations = 0;
+        this.evictions = { size: 0, weight: 0, rejected: 0 };
+    }
+}
+
+// Stores with a batch waiting on an unref'd timer; written out synchronously on 'exit'
+const pendingFileStores = new Set();
+let exitHookInstalled = false;
+
+const flushOnExit = (store) => {
+    pendingFileStores.add(store);
+    if (exitHookInstalled || !ENV.isNode) return;
+    exitHookInstalled = true;
+    process.once('exit', () => {
+        for (const pending of pendingFileStores) {
+            try {
+                pending.flush();
+            } catch (error) {
+                universalLog.error(`Could not write cache file ${pending.filePath}:`, error);
+            }
+        }
+    });
+};
+
+/**
+ * Synchronous cache store that keeps entries in a JSON file and reloads them on startup.
+ * Values must survive `serialize`/`deserialize` (JSON by default). Writes go to a temporary
+ * file that is renamed over the target, so a crash never leaves a half-written cache behind.
+ * Writes are batched for `flushDelay` ms (100 by default, 0 writes on every change) and any
+ * pending batch is flushed when the process exits.
+ */
+export class FileStore {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.serialize = options.serialize || JSON.stringify;
+        this.deserialize = options.deserialize || JSON.parse;
+        this.flushDelay = options.flushDelay ?? 100;
+        this.fs = options.fs || nodeModule('fs');
+        this.data = new Map();
+        this.flushTimer = null;
+        this.read();
+    }
+
+    read() {
+        let raw;
+        try {
+            raw = this.fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        try {
+            for (const [key, entry] of this.deserialize(raw)) {
+                this.data.set(key, {
+                    ...entry,
+                    expires: entry.expires ?? Infinity,
+                    staleUntil: entry.staleUntil ?? Infinity
+                });
+            }
+        } catch (error) {
+            universalLog.warn(`Ignoring unreadable cache file ${this.filePath}:`, error);
+        }
+    }
+
+    get(key) {
+        return this.data.get(key);
+    }
+
+    set(key, entry) {
+        this.data.set(key, entry);
+        this.scheduleFlush();
+    }
+
+    delete(key) {
+        if (this.data.delete(key)) this.scheduleFlush();
+    }
+
+    clear() {
+        this.data.clear();
+        this.scheduleFlush();
+    }
+
+    entries() {
+        return this.data.entries();
+    }
+
+    scheduleFlush() {
+        if (this.flushDelay <= 0) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+            if (typeof this.flushTimer.unref === 'function') this.flushTimer.unref();
+            flushOnExit(this);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        pendingFileStores.delete(this);
+        // JSON cannot hold Infinity, so entries without expiry are written with null bounds
+        const entries = [...this.data].map(([key, entry]) => [key, {
+            ...entry,
+            expires: Number.isFinite(entry.expires) ? entry.expires : null,
+            staleUntil: Number.isFinite(entry.staleUntil) ? entry.staleUntil : null
+        }]);
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        this.fs.writeFileSync(tempPath, this.serialize(entries));
+        this.fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+/**
+ * Process-wide directory of cached functions (anything with cache_info, cache_clear and
+ * cache_invalidate), each under a unique name. Functions are held weakly, so registering never
+ * keeps a discarded cache alive; without WeakRef (Node < 14.6) nothing is tracked at all.
+ */
+export class CacheRegistry {
+    constructor() {
+        this.refs = new Map();
+    }
+
+    // Returns the name actually used: taken names get a '#2', '#3', ... suffix
+    register(name, cachedFn) {
+        let unique = name;
+        for (let i = 2; this.get(unique); i++) unique = `${name}#${i}`;
+        if (typeof WeakRef === 'function') this.refs.set(unique, new WeakRef(cachedFn));
+        return unique;
+    }
+
+    unregister(name) {
+        return this.refs.delete(name);
+    }
+
+    get(name) {
+        const ref = this.refs.get(name);
+        const cachedFn = ref && ref.deref();
+        if (ref && !cachedFn) this.refs.delete(name);
+        return cachedFn;
+    }
+
+    names() {
+        return [...this.refs.keys()].filter(name => this.get(name));
+    }
+
+    // Deletes tagged entries from every registered cache; returns the number of entries removed
+    invalidateTag(tag) {
+        return this.names().reduce((removed, name) => removed + this.get(name).cache_invalidate(tag), 0);
+    }
+
+    clear(name) {
+        const cachedFn = this.get(name);
+        if (cachedFn) cachedFn.cache_clear();
+        return Boolean(cachedFn);
+    }
+
+    clearAll() {
+        this.names().forEach(name => this.get(name).cache_clear());
+    }
+
+    // cache_info() of every registered cache plus totals across all of them
+    summary() {
+        const caches = {};
+        const totals = { caches: 0, hits: 0, misses: 0, expirations: 0, currsize: 0, ratio: 0 };
+        for (const name of this.names()) {
+            const info = this.get(name).cache_info();
+            caches[name] = info;
+            totals.caches++;
+            totals.hits += info.hits;
+            totals.misses += info.misses;
+            totals.expirations += info.expirations;
+            totals.currsize += info.currsize;
+        }
+        const lookups = totals.hits + totals.misses;
+        totals.ratio = lookups > 0 ? +(totals.hits / lookups * 100).toFixed(1) : 0;
+        return { caches, totals };
     }
 }
 
+export const cacheRegistry = new CacheRegistry();
+
 // ===== ERROR CLASSES =====
 export class DecoratorError extends Error {
     constructor(message, decoratorName, originalError) {
@@ -87,10 +729,11 @@ export class DecoratorError extends Error {
 }
 
 export class ValidationError extends DecoratorError {
-    constructor(message, fieldName) {
+    constructor(message, fieldName, errors = []) {
         super(message, 'validate');
         this.name = 'ValidationError';
         this.fieldName = fieldName;
+        this.errors = errors;
     }
 }
 
@@ -111,10 +754,36 @@ export class TimeoutError extends DecoratorError {
 }
 
 export class RetryError extends DecoratorError {
-    constructor(message, attempts) {
-        super(message, 'asyncRetry');
+    constructor(message, attempts, lastError, errors = [], timings = []) {
+        super(message, 'asyncRetry', lastError);
         this.name = 'RetryError';
         this.attempts = attempts;
+        this.lastError = lastError;
+        this.errors = errors;
+        this.timings = timings;
+    }
+}
+
+export class CircuitOpenError extends DecoratorError {
+    constructor(message, retryAfter) {
+        super(message, 'circuitBreaker');
+        this.name = 'CircuitOpenError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+export class CancelledError extends DecoratorError {
+    constructor(message, decoratorName) {
+        super(message, decoratorName);
+        this.name = 'CancelledError';
+    }
+}
+
+export class BulkheadRejectedError extends DecoratorError {
+    constructor(message, reason) {
+        super(message, 'bulkhead');
+        this.name = 'BulkheadRejectedError';
+        this.reason = reason;
     }
 }
 
@@ -185,25 +854,224 @@ const deepFreeze = (obj) => {
     return Object.freeze(obj);
 };
 
+// Helper function for promise detection
+const isThenable = (value) => value !== null &&
+    (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+
+// Calls fn and passes its outcome to onResult or onError, after settlement when fn returns a
+// thenable. The handlers' return value (or throw) becomes the outcome, so the same code can
+// transform results and swallow or rethrow errors for sync and async methods.
+const handleOutcome = (fn, onResult, onError) => {
+    let result;
+    try {
+        result = fn();
+    } catch (error) {
+        return onError(error);
+    }
+    return isThenable(result) ? result.then(onResult, onError) : onResult(result);
+};
+
+// Error raised when an AbortSignal fires; prefers the signal's own reason
+const abortError = (signal, decoratorName) => signal.reason !== undefined
+    ? signal.reason
+    : new DecoratorError('The operation was aborted', decoratorName);
+
+// Helper function for timer-based waits that an AbortSignal can cut short
+const sleep = (ms, signal, decoratorName = 'sleep') => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+        reject(abortError(signal, decoratorName));
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError(signal, decoratorName));
+    };
+    const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Blocking wait for synchronous callers. Atomics.wait parks the thread without burning CPU;
+// browser main threads forbid it, and spinning is the only synchronous wait left there.
+const sleepSync = (ms) => {
+    const end = Date.now() + ms;
+    try {
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+    } catch (error) {
+        while (Date.now() < end) { /* spin */ }
+    }
+};
+
+// Sums the counters of several cache_info() results (one per instance-scoped cache)
+const mergeCacheInfo = (infos, maxsize) => {
+    const merged = {
+        hits: 0, misses: 0, expirations: 0, pending: 0,
+        evictions: { size: 0, weight: 0, rejected: 0 },
+        maxsize, currsize: 0, maxweight: 0, currweight: 0, instances: infos.length
+    };
+    for (const info of infos) {
+        ['hits', 'misses', 'expirations', 'pending', 'currsize', 'currweight'].forEach(field => {
+            merged[field] += info[field];
+        });
+        Object.keys(merged.evictions).forEach(reason => {
+            merged.evictions[reason] += info.evictions[reason];
+        });
+        merged.maxweight = info.maxweight;
+    }
+    const total = merged.hits + merged.misses;
+    merged.ratio = total > 0 ? +(merged.hits / total * 100).toFixed(1) : 0;
+    return merged;
+};
+
 // ===== 1. SUPER_CACHE DECORATOR =====
 export const super_cache = createUniversalDecorator('super_cache', 
-    (originalMethod, propertyKey, type = 'balanced', maxsize = 128) => {
+    (originalMethod, propertyKey, type = 'balanced', maxsize = 128, options = {}) => {
+        // Allow super_cache({ type, maxsize, ttl, staleWhileRevalidate, key, store, name, tags, scope })
+        if (type && typeof type === 'object') {
+            options = type;
+            type = options.type || 'balanced';
+            maxsize = options.maxsize || maxsize;
+        }
+        const config = {
+            ttl: 0, staleWhileRevalidate: 0, key: 'structural',
+            name: propertyKey, tags: [], registry: cacheRegistry, scope: 'class',
+            ...options
+        };
+        if (config.scope === 'instance' && config.store) {
+            throw new DecoratorError('A cache store cannot be shared by instance-scoped caches', 'super_cache');
+        }
+        const resolveKey = createKeyResolver(config.key);
+        const resolveTags = (args) => {
+            const tags = typeof config.tags === 'function' ? config.tags(...args) : config.tags;
+            return tags == null ? [] : [].concat(tags).map(String);
+        };
         const sizes = { light: 32, balanced: maxsize, fast: 256 };
-        const cache = new UniversalLRU(sizes[type] || maxsize);
-        
+        const cacheSize = sizes[type] || maxsize;
+        let resolvesAsync = false;
+
+        const createState = () => ({
+            cache: new UniversalLRU(cacheSize, config),
+            pending: new Map(),
+            revalidating: new Set()
+        });
+
+        // 'class' scope shares one cache between all callers. 'instance' scope gives every `this`
+        // its own cache in a WeakMap, so it is collected with the object; calls without an
+        // object receiver fall back to the shared cache. Live instances are enumerated through
+        // WeakRefs; where those are missing they are not tracked rather than kept alive.
+        const sharedState = createState();
+        const instanceStates = new WeakMap();
+        const instanceRefs = new Set();
+
+        const stateFor = (thisArg) => {
+            if (config.scope !== 'instance' || thisArg === null ||
+                (typeof thisArg !== 'object' && typeof thisArg !== 'function')) {
+                return sharedState;
+            }
+            let state = instanceStates.get(thisArg);
+            if (!state) {
+                state = createState();
+                instanceStates.set(thisArg, state);
+                if (typeof WeakRef === 'function') instanceRefs.add(new WeakRef(thisArg));
+            }
+            return state;
+        };
+
+        // Caches to report on or clear: one instance's, or every live one when none is given
+        const statesFor = (instance) => {
+            if (config.scope !== 'instance') return [sharedState];
+            if (instance !== undefined) {
+                const state = instanceStates.get(instance);
+                return state ? [state] : [];
+            }
+            const states = [sharedState];
+            for (const ref of instanceRefs) {
+                const target = ref.deref();
+                if (target === undefined) instanceRefs.delete(ref);
+                else states.push(instanceStates.get(target));
+            }
+            return states;
+        };
+
+        // Sync results are cached as-is. Promises are shared with concurrent callers while
+        // pending; only the resolved value reaches the LRU, rejections are never cached.
+        function remember(state, cacheKey, result, tags) {
+            const { cache, pending } = state;
+            if (!isThenable(result)) {
+                cache.set(cacheKey, result, config.ttl, tags);
+                return result;
+            }
+            resolvesAsync = true;
+            const isCurrent = () => pending.has(cacheKey) && pending.get(cacheKey).promise === promise;
+            const promise = Promise.resolve(result).then(
+                value => {
+                    if (isCurrent()) {
+                        cache.set(cacheKey, value, config.ttl, tags, true);
+                        pending.delete(cacheKey);
+                    }
+                    return value;
+                },
+                error => {
+                    if (isCurrent()) pending.delete(cacheKey);
+                    throw error;
+                }
+            );
+            pending.set(cacheKey, { promise, tags });
+            return promise;
+        }
+
+        // Re-run the method in the background and replace the stale entry once it finishes
+        function revalidate(state, thisArg, args, cacheKey) {
+            state.revalidating.add(cacheKey);
+            Promise.resolve()
+                .then(() => remember(state, cacheKey, originalMethod.apply(thisArg, args), resolveTags(args)))
+                .catch(error => universalLog.warn(`Revalidation of ${propertyKey} failed:`, error))
+                .then(() => state.revalidating.delete(cacheKey));
+        }
+
         function cachedMethod(...args) {
-            const cacheKey = fastKey(args);
-            let result = cache.get(cacheKey);
-            if (result === undefined) {
-                result = originalMethod.apply(this, args);
-                cache.set(cacheKey, result);
+            const state = stateFor(this);
+            const cacheKey = resolveKey(args);
+            const entry = state.cache.getEntry(cacheKey, config.staleWhileRevalidate > 0);
+            if (entry !== undefined) {
+                if (!state.revalidating.has(cacheKey) && state.cache.isStale(entry)) {
+                    revalidate(state, this, args, cacheKey);
+                }
+                // Entries written before the flag existed fall back to what this process has seen
+                return entry.async || resolvesAsync ? Promise.resolve(entry.value) : entry.value;
             }
-            return result;
+            const inFlight = state.pending.get(cacheKey);
+            if (inFlight) return inFlight.promise;
+            return remember(state, cacheKey, originalMethod.apply(this, args), resolveTags(args));
         }
 
-        cachedMethod.cache_info = () => cache.info();
-        cachedMethod.cache_clear = () => cache.clear();
+        cachedMethod.cache_info = (instance) => {
+            const infos = statesFor(instance).map(({ cache, pending }) => ({ ...cache.info(), pending: pending.size }));
+            if (config.scope !== 'instance' || (instance !== undefined && infos.length === 1)) {
+                return infos[0];
+            }
+            return mergeCacheInfo(infos, cacheSize);
+        };
+        cachedMethod.cache_ready = () => sharedState.cache.ready;
+        cachedMethod.cache_clear = (instance) => {
+            statesFor(instance).forEach(({ cache, pending }) => {
+                cache.clear();
+                pending.clear();
+            });
+        };
+        // In-flight calls carrying the tag are dropped too, so they cannot store outdated data
+        cachedMethod.cache_invalidate = (tag, instance) => {
+            return statesFor(instance).reduce((removed, { cache, pending }) => {
+                for (const [cacheKey, call] of pending) {
+                    if (call.tags.includes(tag)) pending.delete(cacheKey);
+                }
+                return removed + cache.invalidateTag(tag);
+            }, 0);
+        };
         cachedMethod.__wrapped__ = originalMethod;
+        cachedMethod.cache_name = config.registry ? config.registry.register(config.name, cachedMethod) : null;
 
         return cachedMethod;
     }
@@ -215,81 +1083,265 @@ export const protect = createUniversalDecorator('protect',
         const levels = { loose: 1, normal: 2, strict: 3 };
         const protectionLevel = levels[level] || 2;
         const { silent = false } = options;
-        
+
         return function protectedMethod(...args) {
-            try {
-                if (protectionLevel >= 2) {
-                    args = args.map(arg => {
-                        if (typeof arg === 'object' && arg !== null) {
-                            return { ...arg };
-                        }
-                        return arg;
-                    });
-                }
-                const result = originalMethod.apply(this, args);
-                if (protectionLevel >= 3 && typeof result === 'object' && result !== null) {
-                    return Object.freeze(result);
-                }
-                return result;
-            } catch (error) {
-                if (!silent) {
-                    universalLog.error(`Protected method ${propertyKey} failed:`, error);
+            return handleOutcome(
+                () => {
+                    if (protectionLevel >= 2) {
+                        args = args.map(arg => {
+                            if (typeof arg === 'object' && arg !== null) {
+                                return { ...arg };
+                            }
+                            return arg;
+                        });
+                    }
+                    return originalMethod.apply(this, args);
+                },
+                (result) => {
+                    if (protectionLevel >= 3 && typeof result === 'object' && result !== null) {
+                        return Object.freeze(result);
+                    }
+                    return result;
+                },
+                (error) => {
+                    if (!silent) {
+                        universalLog.error(`Protected method ${propertyKey} failed:`, error);
+                    }
+                    if (protectionLevel >= 3) throw error;
+                    return undefined;
                 }
-                if (protectionLevel >= 3) throw error;
-                return undefined;
-            }
+            );
         };
     }
 );
 
 // ===== 3. LOG_EXECUTION DECORATOR =====
-export const logExecution = createUniversalDecorator('logExecution',
-    (originalMethod, propertyKey, options = {}) => {
-        const config = { level: 'info', timing: true, params: true, result: false, ...options };
-        
-        return function loggedMethod(...args) {
-            const startTime = config.timing ? performance.now() : 0;
-            const methodName = propertyKey || 'anonymous';
-            
-            if (config.params) {
-                universalLog[config.level](`[${methodName}] Called with:`, args);
+// logExecution emits one record per call:
+// { time, level, method, correlationId, outcome: 'success' | 'error', durationMs?, params?, result?, error? }
+// A transport is anything with write(record).
+
+const ansiColors = { info: '\x1b[34m', warn: '\x1b[33m', error: '\x1b[31m', debug: '\x1b[90m' };
+
+const serializeError = (error) => (error instanceof Error
+    ? { name: error.name, message: error.message, stack: error.stack }
+    : error);
+
+const consoleMethodFor = (level) => (level === 'error' ? 'error' : level === 'warn' ? 'warn' : 'log');
+
+// Human-readable console lines: ANSI colors in Node, %c styles in browsers
+export const createPrettyTransport = () => ({
+    write(record) {
+        const tag = `[${record.level.toUpperCase()}]`;
+        const timing = record.durationMs !== undefined ? ` in ${record.durationMs}ms` : '';
+        const summary = `[${record.method}] ${record.outcome === 'error' ? 'Failed' : 'Completed'}${timing} (${record.correlationId})`;
+        const details = [];
+        if ('params' in record) details.push('params:', record.params);
+        if ('result' in record) details.push('result:', record.result);
+        if ('error' in record) details.push(record.error);
+        const write = console[consoleMethodFor(record.level)];
+        if (ENV.isNode) {
+            write(`${ansiColors[record.level] || ''}${tag}\x1b[0m ${summary}`, ...details);
+        } else {
+            write(`%c${tag}`, `color: ${{ info: 'blue', warn: 'orange', error: 'red' }[record.level] || 'gray'}`, summary, ...details);
+        }
+    }
+});
+
+// Newline-delimited JSON, one record per line, to any { write(string) } (stdout by default)
+export const createJsonTransport = (stream) => {
+    const out = stream || (ENV.isNode ? process.stdout : { write: (line) => console.log(line.trimEnd()) });
+    return {
+        write(record) {
+            const line = 'error' in record ? { ...record, error: serializeError(record.error) } : record;
+            out.write(`${JSON.stringify(line)}\n`);
+        }
+    };
+};
+
+// 'pretty', 'json', a transport, or a logger with level methods (console, pino, winston, ...)
+const resolveLogTransport = (logger) => {
+    if (logger == null || logger === 'pretty') return createPrettyTransport();
+    if (logger === 'json') return createJsonTransport();
+    if (typeof logger.write === 'function') return logger;
+    if (typeof logger.info === 'function') {
+        return {
+            write(record) {
+                const log = typeof logger[record.level] === 'function' ? logger[record.level] : logger.info;
+                log.call(logger, record, `[${record.method}] ${record.outcome}`);
             }
-            
+        };
+    }
+    throw new DecoratorError('logger must be "pretty", "json", a transport with write() or a logger with level methods', 'logExecution');
+};
+
+const REDACTED = '[REDACTED]';
+
+const isPlainContainer = (value) => Array.isArray(value) || (value !== null && typeof value === 'object' &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(value)));
+
+// Copies only the containers along the path, so the caller's objects are never modified
+const redactPath = (value, segments) => {
+    if (segments.length === 0 || !isPlainContainer(value)) return value;
+    const [segment, ...rest] = segments;
+    const copy = Array.isArray(value) ? [...value] : { ...value };
+    const keys = segment === '*' ? Object.keys(copy) : [segment];
+    for (const key of keys) {
+        if (!(key in copy)) continue;
+        copy[key] = rest.length === 0 ? REDACTED : redactPath(copy[key], rest);
+    }
+    return copy;
+};
+
+// A bare key such as 'password' is redacted at any depth
+const redactKey = (value, key, seen = new WeakSet()) => {
+    if (!isPlainContainer(value) || seen.has(value)) return value;
+    seen.add(value);
+    const copy = Array.isArray(value) ? [...value] : { ...value };
+    for (const k of Object.keys(copy)) {
+        copy[k] = k === key ? REDACTED : redactKey(copy[k], key, seen);
+    }
+    return copy;
+};
+
+const createRedactor = (redact) => {
+    if (!redact) return (record) => record;
+    if (typeof redact === 'function') return redact;
+    return (record) => redact.reduce(
+        (current, path) => (path.includes('.') ? redactPath(current, path.split('.')) : redactKey(current, path)),
+        record
+    );
+};
+
+const newCorrelationId = () => (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`);
+
+export const logExecution = createUniversalDecorator('logExecution',
+    (originalMethod, propertyKey, options = {}) => {
+        const config = { level: 'info', timing: true, params: true, result: false, ...options };
+        const transport = resolveLogTransport(config.logger);
+        const redact = createRedactor(config.redact);
+        const methodName = String(propertyKey || 'anonymous');
+
+        function emit(record) {
             try {
-                const result = originalMethod.apply(this, args);
-                
-                if (config.timing) {
-                    const duration = (performance.now() - startTime).toFixed(2);
-                    universalLog[config.level](`[${methodName}] Completed in ${duration}ms`);
-                }
-                
-                if (config.result) {
-                    universalLog[config.level](`[${methodName}] Result:`, result);
-                }
-                return result;
+                transport.write(redact(record));
             } catch (error) {
-                universalLog.error(`[${methodName}] Failed:`, error);
-                throw error;
+                universalLog.warn(`[${methodName}] Log transport failed:`, error);
             }
+        }
+
+        return function loggedMethod(...args) {
+            const startTime = config.timing ? performance.now() : 0;
+            const record = {
+                time: new Date().toISOString(),
+                level: config.level,
+                method: methodName,
+                correlationId: config.correlationId ? config.correlationId(...args) : newCorrelationId(),
+                ...activeTraceIds(config.tracer)
+            };
+            if (config.params) record.params = args;
+            const elapsed = () => (config.timing ? { durationMs: +(performance.now() - startTime).toFixed(2) } : {});
+
+            return handleOutcome(
+                () => originalMethod.apply(this, args),
+                (result) => {
+                    emit({ ...record, outcome: 'success', ...elapsed(), ...(config.result ? { result } : {}) });
+                    return result;
+                },
+                (error) => {
+                    emit({ ...record, level: 'error', outcome: 'error', ...elapsed(), error });
+                    throw error;
+                }
+            );
         };
     }
 );
 
 // ===== 4. REPEAT DECORATOR =====
+// Retries a throwing call up to `times` attempts, `delay` ms apart. Methods returning promises
+// wait with timers; synchronous ones stay synchronous and block between attempts. With `until`
+// it polls instead: the method runs every `interval` ms until until(result) holds, and the
+// decorated method returns a Promise. `timeout` bounds the whole async run with a TimeoutError.
 export const repeat = createUniversalDecorator('repeat',
-    (originalMethod, propertyKey, times = 3, delay = 0) => {
+    (originalMethod, propertyKey, timesOrOptions = 3, delay = 0, options = {}) => {
+        const config = typeof timesOrOptions === 'object'
+            ? { delay: 0, ...timesOrOptions }
+            : { ...options, times: timesOrOptions, delay };
+        const polling = typeof config.until === 'function';
+        const times = config.times ?? (polling ? Infinity : 3);
+        const interval = config.interval ?? config.delay;
+        const report = (info) => {
+            if (config.onAttempt) config.onAttempt(info);
+        };
+
+        const attemptAsync = (thisArg, args) => {
+            try {
+                return originalMethod.apply(thisArg, args);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        };
+
+        async function repeatAsync(thisArg, args, pending, attempt, startedAt) {
+            const deadline = config.timeout ? startedAt + config.timeout : Infinity;
+            const timedOut = new TimeoutError(`Method ${propertyKey} did not complete within ${config.timeout}ms`, config.timeout);
+            let deadlineTimer;
+            // An attempt still running at the deadline is abandoned
+            const expired = deadline === Infinity ? null : new Promise((resolve, reject) => {
+                deadlineTimer = setTimeout(() => reject(timedOut), deadline - Date.now());
+            });
+            if (expired) expired.catch(() => {});
+
+            try {
+                for (;;) {
+                    let outcome;
+                    try {
+                        outcome = { result: await (expired ? Promise.race([pending, expired]) : pending) };
+                    } catch (error) {
+                        if (error === timedOut) throw error;
+                        outcome = { error };
+                    }
+                    report({ attempt, ...outcome, elapsed: Date.now() - startedAt });
+                    const failed = 'error' in outcome;
+                    if (!failed && (!polling || config.until(outcome.result))) return outcome.result;
+
+                    if (attempt >= times) {
+                        if (failed) throw outcome.error;
+                        throw new DecoratorError(`Method ${propertyKey} did not meet its condition after ${times} attempts`, 'repeat');
+                    }
+                    const wait = polling ? interval : config.delay;
+                    if (Date.now() + wait >= deadline) throw timedOut;
+                    await sleep(wait);
+                    attempt++;
+                    pending = attemptAsync(thisArg, args);
+                }
+            } finally {
+                clearTimeout(deadlineTimer);
+            }
+        }
+
         return function repeatedMethod(...args) {
+            const startedAt = Date.now();
+            if (polling) return repeatAsync(this, args, attemptAsync(this, args), 1, startedAt);
+
             let lastError;
-            for (let i = 0; i < times; i++) {
+            for (let attempt = 1; attempt <= times; attempt++) {
+                let result;
                 try {
-                    return originalMethod.apply(this, args);
+                    result = originalMethod.apply(this, args);
                 } catch (error) {
+                    report({ attempt, error, elapsed: Date.now() - startedAt });
                     lastError = error;
-                    if (i < times - 1 && delay > 0) {
-                        const start = Date.now();
-                        while (Date.now() - start < delay) {}
-                    }
+                    if (attempt < times && config.delay > 0) sleepSync(config.delay);
+                    continue;
                 }
+                // The method returned a promise: remaining attempts wait on timers
+                if (isThenable(result)) {
+                    return repeatAsync(this, args, result, attempt, startedAt);
+                }
+                report({ attempt, result, elapsed: Date.now() - startedAt });
+                return result;
             }
             throw lastError;
         };
@@ -306,13 +1358,193 @@ export const loop_optimize = createUniversalDecorator('loop_optimize',
 );
 
 // ===== 6. SEARCH_OPTIMIZE DECORATOR =====
+// The method is called with (collection, query) at `collectionArg`/`queryArg` and receives the
+// candidates found through an index on `indexKeys` (dot paths; none means the items
+// themselves) as an extra argument at `matchesArg`, left undefined when the query cannot use
+// an index and skipped when the caller already passed an argument there. The collection argument stays untouched, so positions and counts keep their
+// meaning; `narrow: true` passes the candidates in its place instead, for methods that only
+// filter. 'hash' indexes are Maps of buckets, 'binary' ones sorted arrays that also answer
+// { gt, gte, lt, lte } ranges. Candidates only narrow the search: the method still applies its
+// own filter, so queries on unindexed fields stay correct. Indexes are built on first use and
+// kept per collection until its identity or length changes; in-place edits that keep the length
+// need clearIndex().
+const searchKeyOf = (value) => (value instanceof Date ? value.getTime() : value);
+
+const readPath = (item, path) => {
+    if (!path) return item;
+    return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), item);
+};
+
+const isRangeQuery = (value) => value !== null && typeof value === 'object' && !(value instanceof Date)
+    && ['gt', 'gte', 'lt', 'lte'].some(bound => bound in value);
+
+const searchIndexes = {
+    hash: {
+        build(items, path) {
+            const buckets = new Map();
+            for (const item of items) {
+                const key = searchKeyOf(readPath(item, path));
+                const bucket = buckets.get(key);
+                if (bucket) bucket.push(item);
+                else buckets.set(key, [item]);
+            }
+            return buckets;
+        },
+        lookup(buckets, value) {
+            if (isRangeQuery(value)) return null;
+            const bucket = buckets.get(searchKeyOf(value));
+            return bucket ? bucket.slice() : [];
+        }
+    },
+    binary: {
+        build(items, path) {
+            const entries = [];
+            for (const item of items) {
+                const key = searchKeyOf(readPath(item, path));
+                if (key != null) entries.push({ key, item });
+            }
+            // Array#sort is stable: equal keys keep collection order
+            entries.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+            return entries;
+        },
+        lookup(entries, value) {
+            // First position whose key passes `before`
+            const search = (before) => {
+                let low = 0;
+                let high = entries.length;
+                while (low < high) {
+                    const mid = (low + high) >>> 1;
+                    if (before(entries[mid].key)) low = mid + 1;
+                    else high = mid;
+                }
+                return low;
+            };
+            const range = isRangeQuery(value) ? value : { gte: value, lte: value };
+            const gte = searchKeyOf(range.gte);
+            const gt = searchKeyOf(range.gt);
+            const lte = searchKeyOf(range.lte);
+            const lt = searchKeyOf(range.lt);
+            const start = 'gt' in range ? search(key => key <= gt) : 'gte' in range ? search(key => key < gte) : 0;
+            const end = 'lt' in range ? search(key => key < lt) : 'lte' in range ? search(key => key <= lte) : entries.length;
+            return entries.slice(start, Math.max(start, end)).map(entry => entry.item);
+        }
+    }
+};
+
 export const search_optimize = createUniversalDecorator('search_optimize',
     (originalMethod, propertyKey, options = {}) => {
-        const config = { algorithm: 'linear', indexKeys: [], cacheResults: false, ...options };
-        
-        return function optimizedSearchMethod(...args) {
-            return originalMethod.apply(this, args);
+        const config = {
+            algorithm: 'linear',
+            indexKeys: [],
+            cacheResults: false,
+            collectionArg: 0,
+            queryArg: 1,
+            narrow: false,
+            ...options
+        };
+        const matchesArg = config.matchesArg ?? Math.max(config.collectionArg, config.queryArg) + 1;
+        const strategy = searchIndexes[config.algorithm];
+        if (!strategy && config.algorithm !== 'linear') {
+            throw new DecoratorError(`Unknown search algorithm "${config.algorithm}"`, 'search_optimize');
+        }
+        const paths = config.indexKeys.length > 0 ? config.indexKeys : [''];
+
+        let collections = new WeakMap();
+        const stats = { builds: 0, buildTime: 0, lastBuildTime: 0, indexedItems: 0, lookups: 0, hits: 0, misses: 0, cacheHits: 0 };
+
+        const entryFor = (collection) => {
+            let entry = collections.get(collection);
+            if (!entry || entry.length !== collection.length) {
+                entry = { length: collection.length, indexes: new Map(), results: new Map() };
+                collections.set(collection, entry);
+            }
+            return entry;
+        };
+
+        const indexFor = (entry, collection, path) => {
+            let index = entry.indexes.get(path);
+            if (!index) {
+                const startTime = performance.now();
+                index = strategy.build(collection, path);
+                stats.lastBuildTime = performance.now() - startTime;
+                stats.buildTime += stats.lastBuildTime;
+                stats.builds++;
+                stats.indexedItems = collection.length;
+                entry.indexes.set(path, index);
+            }
+            return index;
+        };
+
+        // Smallest candidate set over the indexed fields the query names, or null to scan
+        const candidatesFor = (entry, collection, query) => {
+            if (query == null) return null;
+            const fields = config.indexKeys.length === 0 || (config.indexKeys.length === 1 && (!isPlainObject(query) || isRangeQuery(query)))
+                ? [[paths[0], query]]
+                : isPlainObject(query)
+                    ? config.indexKeys.filter(path => path in query).map(path => [path, query[path]])
+                    : [];
+            let best = null;
+            for (const [path, value] of fields) {
+                if (value !== null && typeof value === 'object' && !(value instanceof Date) && !isRangeQuery(value)) continue;
+                const candidates = strategy.lookup(indexFor(entry, collection, path), value);
+                if (candidates && (!best || candidates.length < best.length)) best = candidates;
+            }
+            return best;
+        };
+
+        function optimizedSearchMethod(...args) {
+            const collection = args[config.collectionArg];
+            if (!Array.isArray(collection)) return originalMethod.apply(this, args);
+
+            const entry = entryFor(collection);
+            const resultKey = config.cacheResults
+                ? stableKey(args.map((arg, i) => (i === config.collectionArg ? null : arg)))
+                : null;
+            if (config.cacheResults && entry.results.has(resultKey)) {
+                stats.cacheHits++;
+                return entry.results.get(resultKey);
+            }
+
+            let callArgs = args;
+            if (strategy) {
+                stats.lookups++;
+                const candidates = candidatesFor(entry, collection, args[config.queryArg]);
+                if (candidates) stats.hits++;
+                else stats.misses++;
+                if (config.narrow) {
+                    if (candidates) {
+                        callArgs = args.slice();
+                        callArgs[config.collectionArg] = candidates;
+                    }
+                } else if (args.length <= matchesArg) {
+                    // Never overwrite an argument the caller actually passed
+                    callArgs = args.slice();
+                    callArgs[matchesArg] = candidates || undefined;
+                }
+            }
+
+            const result = originalMethod.apply(this, callArgs);
+            if (config.cacheResults) {
+                entry.results.set(resultKey, result);
+                if (isThenable(result)) result.then(null, () => entry.results.delete(resultKey));
+            }
+            return result;
+        }
+
+        // Build cost and how often lookups were answered from an index (misses fell back to a scan)
+        optimizedSearchMethod.indexInfo = () => ({
+            algorithm: config.algorithm,
+            indexKeys: [...config.indexKeys],
+            ...stats,
+            averageBuildTime: stats.builds > 0 ? stats.buildTime / stats.builds : 0,
+            hitRate: stats.lookups > 0 ? (stats.hits / stats.lookups) * 100 : 0
+        });
+
+        optimizedSearchMethod.clearIndex = () => {
+            collections = new WeakMap();
         };
+
+        return optimizedSearchMethod;
     }
 );
 
@@ -320,7 +1552,7 @@ export const search_optimize = createUniversalDecorator('search_optimize',
 export const var_guard = createUniversalDecorator('var_guard',
     (originalMethod, propertyKey, options = {}) => {
         const config = { immutable: false, deepFreeze: false, validateTypes: false, ...options };
-        
+
         return function guardedMethod(...args) {
             if (config.immutable) {
                 args = args.map(arg => {
@@ -339,7 +1571,7 @@ export const var_guard = createUniversalDecorator('var_guard',
 export const inheritFrom = createUniversalDecorator('inheritFrom',
     (originalMethod, propertyKey, parentFunction, options = {}) => {
         const config = { mergeResults: false, callParentFirst: false, inheritProperties: false, ...options };
-        
+
         return function inheritedMethod(...args) {
             const parentResult = config.callParentFirst ? parentFunction.apply(this, args) : null;
             const result = originalMethod.apply(this, args);
@@ -356,7 +1588,7 @@ export const inheritFrom = createUniversalDecorator('inheritFrom',
 export const immutable = createUniversalDecorator('immutable',
     (originalMethod, propertyKey, options = {}) => {
         const config = { deep: false, strict: false, allowNew: false, ...options };
-        
+
         return function immutableMethod(...args) {
             const result = originalMethod.apply(this, args);
             
@@ -370,213 +1602,1225 @@ export const immutable = createUniversalDecorator('immutable',
 
 // ===== 10. TIME_LIMIT DECORATOR =====
 export const time_limit = createUniversalDecorator('time_limit',
-    (originalMethod, propertyKey, milliseconds = 5000) => {
+    (originalMethod, propertyKey, milliseconds = 5000, options = {}) => {
+        // Allow time_limit({ timeout, passSignal, fallback })
+        if (milliseconds && typeof milliseconds === 'object') {
+            options = milliseconds;
+            milliseconds = options.timeout ?? 5000;
+        }
+        const config = { passSignal: false, ...options };
+        const hasFallback = Object.prototype.hasOwnProperty.call(config, 'fallback');
+
+        const timeoutError = () => new TimeoutError(`Method ${propertyKey} exceeded time limit of ${milliseconds}ms`, milliseconds);
+
+        // Without a fallback the TimeoutError is thrown; a fallback function receives it plus the call args
+        function onTimeout(error, thisArg, args) {
+            if (!hasFallback) throw error;
+            return typeof config.fallback === 'function'
+                ? config.fallback.call(thisArg, error, ...args)
+                : config.fallback;
+        }
+
+        // Sync methods cannot be interrupted and are checked once they return. Promises are raced
+        // against a timer; on timeout the AbortSignal (appended as the last argument when
+        // passSignal is set) is aborted so the underlying work can stop.
         return function timedMethod(...args) {
+            const controller = typeof AbortController === 'function' ? new AbortController() : null;
+            const callArgs = config.passSignal && controller ? [...args, controller.signal] : args;
             const startTime = Date.now();
-            const result = originalMethod.apply(this, args);
-            const duration = Date.now() - startTime;
-            
-            if (duration > milliseconds) {
-                throw new TimeoutError(`Method ${propertyKey} exceeded time limit of ${milliseconds}ms`, milliseconds);
+            const result = originalMethod.apply(this, callArgs);
+
+            if (!isThenable(result)) {
+                return Date.now() - startTime > milliseconds ? onTimeout(timeoutError(), this, args) : result;
             }
-            return result;
+
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    const error = timeoutError();
+                    if (controller) controller.abort(error);
+                    try {
+                        resolve(onTimeout(error, this, args));
+                    } catch (fallbackError) {
+                        reject(fallbackError);
+                    }
+                }, Math.max(0, milliseconds - (Date.now() - startTime)));
+
+                Promise.resolve(result).then(
+                    value => {
+                        clearTimeout(timer);
+                        resolve(value);
+                    },
+                    error => {
+                        clearTimeout(timer);
+                        reject(error);
+                    }
+                );
+            });
         };
     }
 );
 
 // ===== 11. DEBOUNCE DECORATOR =====
+// Every call returns a Promise. When the debounced function runs, the caller whose arguments it
+// used gets the result; superseded callers get the same result, or a CancelledError with
+// onCancel: 'reject'. Callers whose calls are dropped (trailing: false, cancel()) settle the
+// same way with the last result.
 export const debounce = createUniversalDecorator('debounce',
-    (originalMethod, propertyKey, delay = 300) => {
-        const timeouts = new WeakMap();
-        
-        return function debouncedMethod(...args) {
-            const existingTimeout = timeouts.get(this);
-            if (existingTimeout) {
-                clearTimeout(existingTimeout);
+    (originalMethod, propertyKey, delayOrOptions = 300, options = {}) => {
+        const config = typeof delayOrOptions === 'object'
+            ? { delay: 300, ...delayOrOptions }
+            : { ...options, delay: delayOrOptions };
+        const { delay, maxWait } = config;
+        const leading = config.leading ?? false;
+        const trailing = config.trailing ?? true;
+        const onCancel = config.onCancel || 'resolve';
+
+        // Burst state and last outcome per receiver; primitive or missing `this` cannot key a WeakMap
+        const objectStates = new WeakMap();
+        const otherStates = new Map();
+        const active = new Set();
+        const statesFor = (thisArg) =>
+            (thisArg !== null && (typeof thisArg === 'object' || typeof thisArg === 'function') ? objectStates : otherStates);
+
+        function cancelled(waiter) {
+            waiter.reject(new CancelledError(`Call to ${propertyKey} was superseded or cancelled`, 'debounce'));
+        }
+
+        function settleWith(outcome, waiter) {
+            if (outcome.failed) waiter.reject(outcome.value);
+            else waiter.resolve(outcome.value);
+        }
+
+        function invoke(state) {
+            const { lastThis, lastArgs, waiters } = state;
+            state.lastArgs = null;
+            state.waiters = [];
+            state.lastInvokeTime = Date.now();
+            try {
+                state.outcome = { failed: false, value: originalMethod.apply(lastThis, lastArgs) };
+            } catch (error) {
+                state.outcome = { failed: true, value: error };
             }
-            
-            return new Promise((resolve) => {
-                const timeout = setTimeout(() => {
-                    resolve(originalMethod.apply(this, args));
-                    timeouts.delete(this);
-                }, delay);
-                timeouts.set(this, timeout);
+            waiters.forEach((waiter, i) => {
+                if (i === waiters.length - 1 || onCancel === 'resolve') settleWith(state.outcome, waiter);
+                else cancelled(waiter);
+            });
+        }
+
+        function finish(state) {
+            clearTimeout(state.timer);
+            state.timer = null;
+            for (const waiter of state.waiters) {
+                if (onCancel === 'resolve') settleWith(state.outcome, waiter);
+                else cancelled(waiter);
+            }
+            state.waiters = [];
+            state.lastArgs = null;
+            active.delete(state);
+        }
+
+        function schedule(state, now) {
+            let wait = delay - (now - state.lastCallTime);
+            if (maxWait !== undefined) wait = Math.min(wait, maxWait - (now - state.lastInvokeTime));
+            clearTimeout(state.timer);
+            state.timer = setTimeout(() => expire(state), Math.max(0, wait));
+        }
+
+        function expire(state) {
+            const now = Date.now();
+            if (now - state.lastCallTime >= delay) {
+                if (trailing && state.lastArgs) invoke(state);
+                finish(state);
+                return;
+            }
+            if (maxWait !== undefined && now - state.lastInvokeTime >= maxWait) {
+                if (state.lastArgs) invoke(state);
+                else state.lastInvokeTime = now;
+            }
+            schedule(state, now);
+        }
+
+        function debouncedMethod(...args) {
+            const states = statesFor(this);
+            let state = states.get(this);
+            if (!state) {
+                state = { waiters: [], timer: null, outcome: { failed: false, value: undefined } };
+                states.set(this, state);
+            }
+            const now = Date.now();
+            return new Promise((resolve, reject) => {
+                const startsBurst = !active.has(state);
+                if (startsBurst) {
+                    state.lastInvokeTime = now;
+                    active.add(state);
+                }
+                state.lastThis = this;
+                state.lastArgs = args;
+                state.lastCallTime = now;
+                state.waiters.push({ resolve, reject });
+                if (startsBurst ? leading : maxWait !== undefined && now - state.lastInvokeTime >= maxWait) {
+                    invoke(state);
+                }
+                schedule(state, now);
             });
+        }
+
+        // The pending bursts of one receiver, or of all of them when omitted
+        const pendingStates = (instance) => {
+            if (instance === undefined) return [...active];
+            const state = statesFor(instance).get(instance);
+            return state && active.has(state) ? [state] : [];
+        };
+
+        // Drops pending calls without running them
+        debouncedMethod.cancel = (instance) => {
+            pendingStates(instance).forEach(finish);
         };
+
+        // Runs pending calls now; resolves with the result (the last one if several receivers were pending)
+        debouncedMethod.flush = (instance) => {
+            let outcome = { failed: false, value: undefined };
+            for (const state of pendingStates(instance)) {
+                if (state.lastArgs) invoke(state);
+                finish(state);
+                outcome = state.outcome;
+            }
+            return outcome.failed ? Promise.reject(outcome.value) : Promise.resolve(outcome.value);
+        };
+
+        debouncedMethod.pending = (instance) => pendingStates(instance).length > 0;
+
+        return debouncedMethod;
     }
 );
 
 // ===== 12. THROTTLE DECORATOR =====
+// Runs at most once per interval for each receiver (and key, with `key`). Calls inside the
+// interval return undefined, or the last result with returnLast; with trailing, the last of
+// them runs when the interval ends.
 export const throttle = createUniversalDecorator('throttle',
-    (originalMethod, propertyKey, interval = 1000) => {
-        const lastCallTimes = new WeakMap();
-        
-        return function throttledMethod(...args) {
+    (originalMethod, propertyKey, intervalOrOptions = 1000, options = {}) => {
+        const config = typeof intervalOrOptions === 'object'
+            ? { interval: 1000, ...intervalOrOptions }
+            : { ...options, interval: intervalOrOptions };
+        const { interval } = config;
+        const leading = config.leading ?? true;
+        const trailing = config.trailing ?? false;
+        const resolveKey = config.key ? createKeyResolver(config.key) : () => 'default';
+
+        // Receiver -> key -> state; primitive or missing `this` cannot key a WeakMap
+        const objectPartitions = new WeakMap();
+        const otherPartitions = new Map();
+        const partitionsFor = (thisArg) =>
+            (thisArg !== null && (typeof thisArg === 'object' || typeof thisArg === 'function') ? objectPartitions : otherPartitions);
+        const scheduled = new Set();
+        let cancelledAt = -Infinity;
+
+        function stateFor(thisArg, key) {
+            const partitions = partitionsFor(thisArg);
+            let states = partitions.get(thisArg);
+            if (!states) {
+                states = new Map();
+                partitions.set(thisArg, states);
+            }
+            let state = states.get(key);
+            if (!state) {
+                state = { owner: thisArg, key, lastInvoke: -Infinity, timer: null, idleTimer: null, pending: null, result: undefined };
+                states.set(key, state);
+            }
+            return state;
+        }
+
+        // Forgets the key once its interval has passed with no trailing call pending, so keys
+        // such as per-user IDs do not pile up in a long-running process
+        function startInterval(state, now) {
+            state.lastInvoke = now;
+            clearTimeout(state.idleTimer);
+            state.idleTimer = setTimeout(() => {
+                state.idleTimer = null;
+                if (state.timer) return;
+                const partitions = partitionsFor(state.owner);
+                const states = partitions.get(state.owner);
+                if (!states || states.get(state.key) !== state) return;
+                states.delete(state.key);
+                if (states.size === 0) partitions.delete(state.owner);
+            }, interval);
+            if (typeof state.idleTimer.unref === 'function') state.idleTimer.unref();
+        }
+
+        function invoke(state, thisArg, args) {
+            startInterval(state, Date.now());
+            state.result = originalMethod.apply(thisArg, args);
+            return state.result;
+        }
+
+        function runTrailing(state) {
+            const { thisArg, args } = state.pending;
+            state.timer = null;
+            state.pending = null;
+            scheduled.delete(state);
+            // Nobody is waiting on a trailing call, so its failure is logged instead of escaping
+            // the timer; a rejected promise stays in `result` for returnLast callers
+            const report = (error) => universalLog.warn(`Trailing call to ${propertyKey} failed:`, error);
+            try {
+                const result = invoke(state, thisArg, args);
+                if (isThenable(result)) result.then(null, report);
+            } catch (error) {
+                state.result = undefined;
+                report(error);
+            }
+        }
+
+        function clear(state) {
+            clearTimeout(state.timer);
+            clearTimeout(state.idleTimer);
+            state.timer = null;
+            state.idleTimer = null;
+            state.pending = null;
+            state.lastInvoke = -Infinity;
+            scheduled.delete(state);
+        }
+
+        function throttledMethod(...args) {
+            const state = stateFor(this, resolveKey(args));
             const now = Date.now();
-            const lastCall = lastCallTimes.get(this) || 0;
-            
-            if (now - lastCall >= interval) {
-                lastCallTimes.set(this, now);
-                return originalMethod.apply(this, args);
+            const lastInvoke = state.lastInvoke > cancelledAt ? state.lastInvoke : -Infinity;
+
+            if (now - lastInvoke >= interval && !state.timer) {
+                if (leading) return invoke(state, this, args);
+                // Without a leading call the interval starts now and ends with the trailing one
+                startInterval(state, now);
+            }
+
+            if (trailing) {
+                state.pending = { thisArg: this, args };
+                if (!state.timer) {
+                    state.timer = setTimeout(() => runTrailing(state), Math.max(0, state.lastInvoke + interval - now));
+                    scheduled.add(state);
+                }
+            }
+            return config.returnLast ? state.result : undefined;
+        }
+
+        // Drops the pending trailing call and restarts the interval, for one receiver or all of them
+        throttledMethod.cancel = (instance) => {
+            if (instance === undefined) {
+                scheduled.forEach(clear);
+                cancelledAt = Date.now();
+                return;
             }
-            return undefined;
+            const states = partitionsFor(instance).get(instance);
+            if (states) states.forEach(clear);
+            partitionsFor(instance).delete(instance);
         };
+
+        return throttledMethod;
     }
 );
 
 // ===== 13. ASYNC_RETRY DECORATOR =====
 export const async_retry = createUniversalDecorator('async_retry',
     (originalMethod, propertyKey, options = {}) => {
-        const config = { attempts: 3, delay: 1000, exponentialBackoff: false, retryOn: [], ...options };
-        
+        const config = {
+            attempts: 3, delay: 1000, exponentialBackoff: false, retryOn: [],
+            jitter: 'none', maxDelay: Infinity, retryIf: null, onRetry: null, signal: null,
+            ...options
+        };
+
+        // Backoff for the wait after attempt `i`; decorrelated jitter grows from the previous wait
+        function nextDelay(i, previous) {
+            const base = config.exponentialBackoff ? config.delay * Math.pow(2, i) : config.delay;
+            const capped = Math.min(base, config.maxDelay);
+            switch (config.jitter) {
+                case 'full': return Math.random() * capped;
+                case 'equal': return capped / 2 + Math.random() * capped / 2;
+                case 'decorrelated': {
+                    const upper = Math.max(config.delay, previous * 3);
+                    return Math.min(config.maxDelay, config.delay + Math.random() * (upper - config.delay));
+                }
+                default: return capped;
+            }
+        }
+
+        function shouldRetry(error, attempt) {
+            if (config.retryOn.length > 0 && !config.retryOn.some(ErrorClass => error instanceof ErrorClass)) {
+                return false;
+            }
+            return typeof config.retryIf === 'function' ? Boolean(config.retryIf(error, attempt)) : true;
+        }
+
         return async function retryMethod(...args) {
-            let lastError;
+            const signal = typeof config.signal === 'function' ? config.signal(...args) : config.signal;
+            const errors = [];
+            const timings = [];
+            let previousDelay = config.delay;
             
             for (let i = 0; i < config.attempts; i++) {
+                if (signal && signal.aborted) throw abortError(signal, 'asyncRetry');
+                const startedAt = Date.now();
                 try {
                     return await originalMethod.apply(this, args);
                 } catch (error) {
-                    lastError = error;
-                    
-                    if (config.retryOn.length > 0) {
-                        const shouldRetry = config.retryOn.some(ErrorClass => error instanceof ErrorClass);
-                        if (!shouldRetry) throw error;
-                    }
+                    const timing = { attempt: i + 1, startedAt, duration: Date.now() - startedAt, error, delay: 0 };
+                    errors.push(error);
+                    timings.push(timing);
+
+                    if (!shouldRetry(error, i + 1)) throw error;
                     
                     if (i < config.attempts - 1) {
-                        const delay = config.exponentialBackoff 
-                            ? config.delay * Math.pow(2, i) 
-                            : config.delay;
-                        await new Promise(resolve => setTimeout(resolve, delay));
+                        let delay = nextDelay(i, previousDelay);
+                        previousDelay = delay;
+                        // A rate limiter knows best when the next call can succeed
+                        if (error instanceof RateLimitError && error.retryAfter > delay) {
+                            delay = error.retryAfter;
+                        }
+                        timing.delay = delay;
+                        if (typeof config.onRetry === 'function') {
+                            config.onRetry(error, i + 1, delay);
+                        }
+                        await sleep(delay, signal, 'asyncRetry');
                     }
                 }
             }
             
-            throw new RetryError(`Method ${propertyKey} failed after ${config.attempts} attempts`, config.attempts, lastError);
+            throw new RetryError(
+                `Method ${propertyKey} failed after ${config.attempts} attempts`,
+                config.attempts, errors[errors.length - 1], errors, timings
+            );
         };
     }
 );
 
 // ===== 14. VALIDATE DECORATOR =====
-export const validate = createUniversalDecorator('validate',
-    (originalMethod, propertyKey, options = {}) => {
-        const config = { params: [], return: null, throwOnError: true, logErrors: true, ...options };
-        
-        return function validatedMethod(...args) {
-            if (config.params && Array.isArray(config.params)) {
-                config.params.forEach((rule, index) => {
-                    if (rule && typeof rule === 'object') {
-                        const value = args[index];
-                        
-                        if (rule.required && value == null) {
-                            throw new ValidationError(`Parameter ${index} is required`, `param${index}`);
-                        }
-                        
-                        if (rule.type && value != null && typeof value !== rule.type) {
-                            throw new ValidationError(`Parameter ${index} must be of type ${rule.type}`, `param${index}`);
-                        }
-                        
-                        if (rule.min !== undefined) {
-                            if (rule.type === 'string' && value.length < rule.min) {
-                                throw new ValidationError(`Parameter ${index} must be >= ${rule.min}`, `param${index}`);
-                            } else if (rule.type === 'number' && value < rule.min) {
-                                throw new ValidationError(`Parameter ${index} must be >= ${rule.min}`, `param${index}`);
-                            }
-                        }
-                        
-                        if (rule.max !== undefined) {
-                            if (rule.type === 'string' && value.length > rule.max) {
-                                throw new ValidationError(`Parameter ${index} must be <= ${rule.max}`, `param${index}`);
-                            } else if (rule.type === 'number' && value > rule.max) {
-                                throw new ValidationError(`Parameter ${index} must be <= ${rule.max}`, `param${index}`);
-                            }
-                        }
-                        
-                        if (rule.pattern && typeof value === 'string' && !rule.pattern.test(value)) {
-                            throw new ValidationError(`Parameter ${index} does not match required pattern`, `param${index}`);
-                        }
-                        
-                        if (rule.validate && typeof rule.validate === 'function' && !rule.validate(value)) {
-                            throw new ValidationError(rule.message || `Parameter ${index} validation failed`, `param${index}`);
-                        }
-                    }
-                });
-            }
+const schemaTypeChecks = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && !Number.isNaN(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    function: value => typeof value === 'function',
+    object: value => typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    date: value => value instanceof Date && !Number.isNaN(value.getTime()),
+    any: () => true
+};
 
-            const result = originalMethod.apply(this, args);
-            
-            if (config.return && typeof config.return === 'object') {
-                if (config.return.required && result == null) {
-                    throw new ValidationError(`Return value is required`, 'return');
-                }
-                
-                if (config.return.type && result != null && typeof result !== config.return.type) {
-                    throw new ValidationError(`Return value must be of type ${config.return.type}`, 'return');
-                }
-                
-                if (config.return.validate && typeof config.return.validate === 'function' && !config.return.validate(result)) {
-                    throw new ValidationError(config.return.message || 'Return value validation failed', 'return');
-                }
-            }
-            
-            return result;
-        };
+const pointerSegment = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const formatBound = (bound) => (bound instanceof Date ? bound.toISOString() : bound);
+
+// What min/max compare: length for strings and arrays, the value for numbers, time for dates
+const measure = (value) => {
+    if (typeof value === 'string' || Array.isArray(value)) return value.length;
+    if (typeof value === 'number') return value;
+    if (value instanceof Date) return value.getTime();
+    return undefined;
+};
+
+// Standard Schema (https://standardschema.dev): zod, valibot, arktype and others expose
+// schema['~standard'].validate(value) → { value } | { issues: [{ message, path? }] }, maybe as a Promise
+const isStandardSchema = (schema) => schema !== null && (typeof schema === 'object' || typeof schema === 'function') &&
+    schema['~standard'] !== undefined && typeof schema['~standard'].validate === 'function';
+
+const issuePointer = (basePath, issuePath = []) => basePath + issuePath
+    .map(segment => `/${pointerSegment(segment !== null && typeof segment === 'object' ? segment.key : segment)}`)
+    .join('');
+
+// onValue receives the schema's output (parsed or coerced value) when validation passes
+const checkStandardSchema = (schema, value, path, describe, errors, pending, onValue) => {
+    const toIssues = (result) => (result.issues || []).map(issue => {
+        const at = issuePointer(path, issue.path);
+        return { path: at, message: `${describe(at)}: ${issue.message}` };
+    });
+    const outcome = schema['~standard'].validate(value);
+    if (isThenable(outcome)) {
+        if (pending) {
+            pending.push(Promise.resolve(outcome).then(result => {
+                if (!result.issues && onValue) onValue(result.value);
+                return toIssues(result);
+            }));
+        }
+        return errors;
     }
-);
+    if (!outcome.issues && onValue) onValue(outcome.value);
+    errors.push(...toIssues(outcome));
+    return errors;
+};
 
-// ===== 15. RATE_LIMIT DECORATOR =====
-export const rate_limit = createUniversalDecorator('rate_limit',
-    (originalMethod, propertyKey, options = {}) => {
-        const config = { requests: 10, window: '1m', strategy: 'reject', message: 'Rate limit exceeded', ...options };
-        const calls = new Map();
-        
-        return function rateLimitedMethod(...args) {
-            const now = Date.now();
-            const windowMs = config.window === '1s' ? 1000 : 
-                           config.window === '1m' ? 60000 : 
-                           config.window === '1h' ? 3600000 : 86400000;
-            
-            const key = typeof config.per === 'function' ? config.per(...args) : 'global';
-            const callData = calls.get(key) || { count: 0, start: now };
-            
-            // Reset window if expired
-            if (now - callData.start > windowMs) {
-                callData.count = 0;
-                callData.start = now;
-            }
-            
-            // Check if rate limit exceeded
-            if (callData.count >= config.requests) {
-                const retryAfter = windowMs - (now - callData.start);
-                
-                if (config.strategy === 'reject') {
-                    throw new RateLimitError(config.message, retryAfter);
-                }
-                
-                if (config.strategy === 'wait') {
-                    return new Promise(resolve => 
-                        setTimeout(() => resolve(originalMethod.apply(this, args)), retryAfter)
-                    );
-                }
-                
-                if (config.strategy === 'cache') {
-                    return callData.lastResult;
+/**
+ * Checks value against a schema and pushes every problem onto errors as { path, message },
+ * where path is a JSON pointer. `describe(path)` names the value in messages. Async checks are
+ * queued on `pending` as Promises of further issues for the caller to await; inside anyOf/oneOf
+ * alternatives there is no queue and only synchronous checks count. Standard Schema objects are
+ * accepted anywhere a rule is.
+ */
+const checkSchema = (schema, value, path, describe, errors, pending, onValue) => {
+    if (isStandardSchema(schema)) return checkStandardSchema(schema, value, path, describe, errors, pending, onValue);
+
+    const fail = (message, at = path) => errors.push({ path: at, message: `${describe(at)} ${message}` });
+
+    if (value === undefined || value === null) {
+        const allowed = value === null ? schema.nullable : schema.optional;
+        if (schema.required && !allowed) fail('is required');
+        return errors;
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const matches = types.some(type => (schemaTypeChecks[type] || (v => typeof v === type))(value));
+        if (!matches) {
+            fail(`must be of type ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value ||
+        (option instanceof Date && value instanceof Date && option.getTime() === value.getTime()))) {
+        fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    const size = measure(value);
+    // Date bounds may be Dates, timestamps or date strings
+    const bound = (limit) => (value instanceof Date ? new Date(limit).getTime() : Number(limit));
+    if (schema.min !== undefined && size !== undefined && size < bound(schema.min)) {
+        fail(`must be >= ${formatBound(schema.min)}`);
+    }
+    if (schema.max !== undefined && size !== undefined && size > bound(schema.max)) {
+        fail(`must be <= ${formatBound(schema.max)}`);
+    }
+
+    if (schema.pattern && typeof value === 'string' && !schema.pattern.test(value)) {
+        fail('does not match required pattern');
+    }
+
+    if (schema.properties && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+            checkSchema(propertySchema, value[key], `${path}/${pointerSegment(key)}`, describe, errors, pending);
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!(key in schema.properties)) fail('is not allowed', `${path}/${pointerSegment(key)}`);
+            }
+        }
+    }
+
+    if (schema.items && Array.isArray(value)) {
+        value.forEach((item, index) => checkSchema(schema.items, item, `${path}/${index}`, describe, errors, pending));
+    }
+
+    const matching = (schemas) => schemas.filter(option => checkSchema(option, value, path, describe, []).length === 0).length;
+    if (schema.anyOf && matching(schema.anyOf) === 0) {
+        fail('must match at least one of the allowed schemas');
+    }
+    if (schema.oneOf) {
+        const matched = matching(schema.oneOf);
+        if (matched !== 1) fail(`must match exactly one of the allowed schemas (matched ${matched})`);
+    }
+
+    if (typeof schema.validate === 'function') {
+        const issue = { path, message: schema.message || `${describe(path)} validation failed` };
+        const valid = schema.validate(value);
+        if (isThenable(valid)) {
+            if (pending) pending.push(Promise.resolve(valid).then(ok => (ok ? [] : [issue])));
+        } else if (!valid) {
+            errors.push(issue);
+        }
+    }
+    return errors;
+};
+
+// 'Parameter 1' for the argument itself, 'Parameter 1 at /address/zip' below it
+const describeUnder = (rootPath, label) => (path) =>
+    (path === rootPath ? label : `${label} at ${path.slice(rootPath.length)}`);
+
+// For schemas over the whole argument list, whose paths start with the argument index
+const describeArgs = (path) => {
+    const index = path.split('/')[1];
+    return index === undefined ? 'Arguments' : describeUnder(`/${index}`, `Parameter ${index}`)(path);
+};
+
+const fieldNameOf = (path) => {
+    const index = path.split('/')[1];
+    return index === undefined ? 'args' : `param${index}`;
+};
+
+export const validate = createUniversalDecorator('validate',
+    (originalMethod, propertyKey, options = {}) => {
+        const config = { params: [], return: null, throwOnError: true, logErrors: true, ...options };
+
+        // Errors from one check become a single ValidationError listing all of them
+        function report(errors, fieldName) {
+            const error = new ValidationError(errors.map(e => e.message).join('; '), fieldName, errors);
+            if (config.logErrors) universalLog.error(`Validation failed in ${String(propertyKey)}:`, error.message);
+            if (config.throwOnError) throw error;
+        }
+
+        // Reports errors and continues with next(); waits first when async checks are pending,
+        // so the result is a Promise only in that case
+        function settleChecks(errors, pending, fieldName, next) {
+            const finish = () => {
+                if (errors.length > 0) report(errors, fieldName(errors));
+                return next();
+            };
+            if (pending.length === 0) return finish();
+            return Promise.all(pending).then(issueLists => {
+                issueLists.forEach(issues => errors.push(...issues));
+                return finish();
+            });
+        }
+
+        // With coerce, what a Standard Schema outputs replaces the value it checked
+        const coerceWith = (assign) => (config.coerce ? assign : undefined);
+
+        function checkReturn(result) {
+            if (!config.return || (typeof config.return !== 'object' && !isStandardSchema(config.return))) return result;
+            const pending = [];
+            let output = result;
+            const errors = checkSchema(config.return, result, '/return', describeUnder('/return', 'Return value'), [], pending,
+                coerceWith(value => { output = value; }));
+            return settleChecks(errors, pending, () => 'return', () => output);
+        }
+
+        return function validatedMethod(...args) {
+            const errors = [];
+            const pending = [];
+            let input = args;
+            if (config.params && Array.isArray(config.params)) {
+                config.params.forEach((rule, index) => {
+                    if (rule && (typeof rule === 'object' || isStandardSchema(rule))) {
+                        checkSchema(rule, args[index], `/${index}`, describeUnder(`/${index}`, `Parameter ${index}`), errors, pending,
+                            coerceWith(value => {
+                                if (input === args) input = [...args];
+                                input[index] = value;
+                            }));
+                    }
+                });
+            }
+            // A schema for the whole argument list, e.g. a tuple
+            if (config.args) {
+                checkSchema(config.args, args, '', describeArgs, errors, pending, coerceWith(value => { input = [...value]; }));
+            }
+
+            return settleChecks(errors, pending, (found) => fieldNameOf(found[0].path), () => {
+                const result = originalMethod.apply(this, input);
+                // Return rules apply to what an async method resolves to
+                return isThenable(result) ? result.then(checkReturn) : checkReturn(result);
+            });
+        };
+    }
+);
+
+// ===== 15. RATE_LIMIT DECORATOR =====
+// Each algorithm returns acquire(key, now): 0 when a call may proceed (and is counted),
+// otherwise the milliseconds until the next call could be allowed.
+const rateLimitAlgorithms = {
+    fixed: (limit, windowMs) => {
+        const windows = new Map();
+        return (key, now) => {
+            let current = windows.get(key);
+            if (!current || now - current.start >= windowMs) {
+                current = { start: now, count: 0 };
+                windows.set(key, current);
+            }
+            if (current.count < limit) {
+                current.count++;
+                return 0;
+            }
+            return current.start + windowMs - now;
+        };
+    },
+
+    // Exact: remembers the timestamp of every call inside the window
+    'sliding-log': (limit, windowMs) => {
+        const logs = new Map();
+        return (key, now) => {
+            const log = logs.get(key) || [];
+            while (log.length > 0 && log[0] <= now - windowMs) log.shift();
+            logs.set(key, log);
+            if (log.length < limit) {
+                log.push(now);
+                return 0;
+            }
+            return log[0] + windowMs - now;
+        };
+    },
+
+    // Approximate: the previous fixed window's count is weighted by how much of it still overlaps
+    'sliding-counter': (limit, windowMs) => {
+        const counters = new Map();
+        return (key, now) => {
+            const start = now - (now % windowMs);
+            let counter = counters.get(key);
+            if (!counter || counter.start !== start) {
+                const previous = counter && counter.start === start - windowMs ? counter.current : 0;
+                counter = { start, previous, current: 0 };
+                counters.set(key, counter);
+            }
+            const elapsed = now - start;
+            if (counter.previous * (1 - elapsed / windowMs) + counter.current < limit) {
+                counter.current++;
+                return 0;
+            }
+            if (counter.current < limit && counter.previous > 0) {
+                const wait = windowMs * (1 - (limit - counter.current) / counter.previous) - elapsed;
+                return Math.max(1, Math.ceil(wait));
+            }
+            return windowMs - elapsed;
+        };
+    },
+
+    // Refills `limit` tokens per window up to `burst`; each call takes one
+    'token-bucket': (limit, windowMs, burst = limit) => {
+        const ratePerMs = limit / windowMs;
+        const buckets = new Map();
+        return (key, now) => {
+            const bucket = buckets.get(key) || { tokens: burst, updated: now };
+            bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updated) * ratePerMs);
+            bucket.updated = now;
+            buckets.set(key, bucket);
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return 0;
+            }
+            return Math.ceil((1 - bucket.tokens) / ratePerMs);
+        };
+    }
+};
+
+/**
+ * Reference rate limit store. A store keeps fixed-window counters:
+ * increment(key, windowMs) atomically adds one to the counter, starting a new window that ends
+ * windowMs from now if there is none or it has ended, and resolves to { count, resetAt };
+ * get(key) resolves to the live counter or undefined. This one is per process; implement the
+ * same two methods over Redis (INCR + PEXPIRE NX) or similar to share limits between hosts.
+ */
+export class MemoryRateLimitStore {
+    constructor() {
+        this.counters = new Map();
+        this.writes = 0;
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            this.counters.set(key, counter);
+        }
+        counter.count++;
+        if (++this.writes % 1000 === 0) this.prune(now);
+        return { ...counter };
+    }
+
+    async get(key) {
+        const counter = this.counters.get(key);
+        return counter && counter.resetAt > Date.now() ? { ...counter } : undefined;
+    }
+
+    prune(now = Date.now()) {
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) this.counters.delete(key);
+        }
+    }
+}
+
+/**
+ * Rate limit store shared by the processes of one host. Counters live in a JSON file; every
+ * increment holds an exclusive lock file (created with the 'wx' flag) while it reads, updates
+ * and atomically rewrites it. Locks older than staleLock ms are assumed abandoned and removed.
+ */
+export class FileLockRateLimitStore {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.lockPath = `${filePath}.lock`;
+        this.lockTimeout = options.lockTimeout ?? 5000;
+        this.staleLock = options.staleLock ?? 10000;
+        this.retryDelay = options.retryDelay ?? 5;
+        this.fs = options.fs || nodeModule('fs');
+    }
+
+    async increment(key, windowMs) {
+        return this.withLock(() => {
+            const now = Date.now();
+            const counters = this.read(now);
+            let counter = counters[key];
+            if (!counter || counter.resetAt <= now) {
+                counter = counters[key] = { count: 0, resetAt: now + windowMs };
+            }
+            counter.count++;
+            this.write(counters);
+            return { ...counter };
+        });
+    }
+
+    async get(key) {
+        const counter = this.read(Date.now())[key];
+        return counter ? { ...counter } : undefined;
+    }
+
+    // Live counters only, so expired keys drop out on the next write
+    read(now) {
+        let raw;
+        try {
+            raw = this.fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+        const counters = {};
+        try {
+            for (const [key, counter] of Object.entries(JSON.parse(raw))) {
+                if (counter.resetAt > now) counters[key] = counter;
+            }
+        } catch (error) {
+            universalLog.warn(`Ignoring unreadable rate limit file ${this.filePath}:`, error);
+        }
+        return counters;
+    }
+
+    write(counters) {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        this.fs.writeFileSync(tempPath, JSON.stringify(counters));
+        this.fs.renameSync(tempPath, this.filePath);
+    }
+
+    async withLock(fn) {
+        const deadline = Date.now() + this.lockTimeout;
+        for (;;) {
+            let fd;
+            try {
+                fd = this.fs.openSync(this.lockPath, 'wx');
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                this.removeStaleLock();
+                if (Date.now() >= deadline) {
+                    throw new DecoratorError(`Timed out waiting for lock ${this.lockPath}`, 'rateLimit');
                 }
+                await sleep(this.retryDelay);
+                continue;
             }
-            
-            // Increment call count
-            callData.count++;
-            calls.set(key, callData);
-            
-            const result = originalMethod.apply(this, args);
-            callData.lastResult = result;
-            
+            try {
+                return fn();
+            } finally {
+                this.fs.closeSync(fd);
+                this.fs.unlinkSync(this.lockPath);
+            }
+        }
+    }
+
+    removeStaleLock() {
+        try {
+            if (Date.now() - this.fs.statSync(this.lockPath).mtimeMs > this.staleLock) {
+                this.fs.unlinkSync(this.lockPath);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+// Store-backed counterparts of the 'fixed' and 'sliding-counter' algorithms; both resolve to
+// the milliseconds to wait, 0 when the call is allowed
+const storeRateLimitAlgorithms = {
+    // Counts before checking, as a single INCR would; rejected calls only add to a window
+    // that is already full
+    fixed: (store, limit, windowMs) => async (key) => {
+        const { count, resetAt } = await store.increment(key, windowMs);
+        return count <= limit ? 0 : Math.max(1, resetAt - Date.now());
+    },
+
+    // Checks before counting, so rejected calls do not weigh on the following window; the
+    // count returned by increment is checked again in case another process got in between
+    'sliding-counter': (store, limit, windowMs) => async (key) => {
+        const now = Date.now();
+        const start = now - (now % windowMs);
+        const currentKey = `${key}:${start}`;
+        // Each aligned window's counter lives long enough to serve as the next one's "previous"
+        const [previous, current] = await Promise.all([
+            store.get(`${key}:${start - windowMs}`),
+            store.get(currentKey)
+        ]);
+        const previousCount = previous ? previous.count : 0;
+        const elapsed = now - start;
+        const weight = 1 - elapsed / windowMs;
+        let count = (current ? current.count : 0) + 1;
+        if (previousCount * weight + count <= limit) {
+            count = (await store.increment(currentKey, 2 * windowMs)).count;
+            if (previousCount * weight + count <= limit) return 0;
+        }
+        if (count <= limit && previousCount > 0) {
+            const wait = windowMs * (1 - (limit - count) / previousCount) - elapsed;
+            return Math.max(1, Math.ceil(wait));
+        }
+        return windowMs - elapsed;
+    }
+};
+
+export const rate_limit = createUniversalDecorator('rate_limit',
+    (originalMethod, propertyKey, options = {}) => {
+        const config = {
+            requests: 10, window: '1m', strategy: 'reject', algorithm: 'fixed',
+            message: 'Rate limit exceeded', ...options
+        };
+        const windowMs = parseDuration(config.window);
+        const resolveKey = config.per ? createKeyResolver(config.per) : () => 'global';
+        const lastResults = new Map();
+
+        if (config.store) {
+            return storeRateLimited(originalMethod, propertyKey, config, windowMs, resolveKey, lastResults);
+        }
+
+        const createAlgorithm = rateLimitAlgorithms[config.algorithm];
+        if (!createAlgorithm) {
+            throw new DecoratorError(`Unknown rate limit algorithm "${config.algorithm}"`, 'rateLimit');
+        }
+        const acquire = createAlgorithm(config.requests, windowMs, config.burst);
+        const waiting = new Map();
+
+        function invoke(thisArg, args, key) {
+            const result = originalMethod.apply(thisArg, args);
+            lastResults.set(key, result);
             return result;
+        }
+
+        // 'wait' strategy: callers queue per key and are released in arrival order as capacity frees up
+        function drain(key) {
+            const queue = waiting.get(key);
+            queue.timer = null;
+            while (queue.calls.length > 0) {
+                const retryAfter = acquire(key, Date.now());
+                if (retryAfter > 0) {
+                    queue.timer = setTimeout(() => drain(key), retryAfter);
+                    return;
+                }
+                const { thisArg, args, resolve, reject } = queue.calls.shift();
+                try {
+                    resolve(invoke(thisArg, args, key));
+                } catch (error) {
+                    reject(error);
+                }
+            }
+            waiting.delete(key);
+        }
+
+        function enqueue(thisArg, args, key, retryAfter) {
+            let queue = waiting.get(key);
+            if (!queue) {
+                queue = { calls: [], timer: setTimeout(() => drain(key), retryAfter) };
+                waiting.set(key, queue);
+            }
+            return new Promise((resolve, reject) => {
+                queue.calls.push({ thisArg, args, resolve, reject });
+            });
+        }
+
+        return function rateLimitedMethod(...args) {
+            const key = resolveKey(args);
+
+            // Never let a new caller overtake ones already waiting
+            if (config.strategy === 'wait' && waiting.has(key)) {
+                return enqueue(this, args, key);
+            }
+
+            const retryAfter = acquire(key, Date.now());
+            if (retryAfter === 0) {
+                return invoke(this, args, key);
+            }
+
+            if (config.strategy === 'wait') {
+                return enqueue(this, args, key, retryAfter);
+            }
+            if (config.strategy === 'cache') {
+                return lastResults.get(key);
+            }
+            throw new RateLimitError(config.message, retryAfter);
         };
     }
 );
 
+// With a store every check is a round trip, so the limited method always returns a Promise.
+// Waiting callers poll the store again after retryAfter instead of queueing locally.
+function storeRateLimited(originalMethod, propertyKey, config, windowMs, resolveKey, lastResults) {
+    const createAlgorithm = storeRateLimitAlgorithms[config.algorithm];
+    if (!createAlgorithm) {
+        throw new DecoratorError(
+            `Rate limit algorithm "${config.algorithm}" cannot use a store; use "fixed" or "sliding-counter"`,
+            'rateLimit'
+        );
+    }
+    const acquire = createAlgorithm(config.store, config.requests, windowMs);
+    const prefix = config.prefix || `rate_limit:${String(propertyKey || originalMethod.name || 'anonymous')}`;
+
+    return async function rateLimitedMethod(...args) {
+        const key = resolveKey(args);
+        for (;;) {
+            const retryAfter = await acquire(`${prefix}:${key}`);
+            if (retryAfter === 0) {
+                const result = originalMethod.apply(this, args);
+                lastResults.set(key, result);
+                return result;
+            }
+            if (config.strategy === 'cache') return lastResults.get(key);
+            if (config.strategy !== 'wait') throw new RateLimitError(config.message, retryAfter);
+            await sleep(retryAfter);
+        }
+    };
+}
+
+// ===== METRICS REGISTRY =====
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metricName = (name) => String(name).replace(/[^a-zA-Z0-9_:]/g, '_').replace(/^([0-9])/, '_$1');
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels, extra = {}) => {
+    const pairs = Object.entries({ ...labels, ...extra })
+        .map(([key, value]) => `${metricName(key)}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => (value === Infinity ? '+Inf' : value === -Infinity ? '-Inf' : String(value));
+
+/**
+ * Process-wide store of counters, gauges and histograms, keyed by metric name and label set.
+ * Implements the MetricsCollector interface itself and forwards every observation to the
+ * collectors added with use(), so another backend can receive the same data.
+ */
+export class MetricsRegistry {
+    constructor() {
+        this.families = new Map();
+        this.collectors = new Set();
+    }
+
+    // Declares a metric family; observations on undeclared names create one with defaults
+    describe(name, type, help = '', buckets = DEFAULT_BUCKETS) {
+        const existing = this.families.get(name);
+        if (existing) {
+            if (existing.type !== type) {
+                throw new DecoratorError(`Metric ${name} is already registered as a ${existing.type}`, 'metrics');
+            }
+            return existing;
+        }
+        const family = { name, type, help, buckets: [...buckets].sort((a, b) => a - b), series: new Map() };
+        this.families.set(name, family);
+        for (const collector of this.collectors) {
+            if (typeof collector.describe === 'function') collector.describe(name, type, help, family.buckets);
+        }
+        return family;
+    }
+
+    series(name, type, labels) {
+        const family = this.families.get(name) || this.describe(name, type);
+        const key = stableKey([labels]);
+        let series = family.series.get(key);
+        if (!series) {
+            series = type === 'histogram'
+                ? { labels: { ...labels }, counts: family.buckets.map(() => 0), sum: 0, count: 0 }
+                : { labels: { ...labels }, value: 0 };
+            family.series.set(key, series);
+        }
+        return series;
+    }
+
+    // exemplar: labels such as { trace_id, span_id } tying this observation to a trace
+    increment(name, value = 1, labels = {}, exemplar) {
+        const series = this.series(name, 'counter', labels);
+        series.value += value;
+        if (exemplar) series.exemplar = { labels: exemplar, value, timestamp: Date.now() / 1000 };
+        this.collectors.forEach(collector => collector.increment(name, value, labels, exemplar));
+    }
+
+    gauge(name, value, labels = {}) {
+        this.series(name, 'gauge', labels).value = value;
+        this.collectors.forEach(collector => collector.gauge(name, value, labels));
+    }
+
+    histogram(name, value, labels = {}, exemplar) {
+        const series = this.series(name, 'histogram', labels);
+        const { buckets } = this.families.get(name);
+        const index = buckets.findIndex(bound => value <= bound);
+        if (index !== -1) series.counts[index]++;
+        series.sum += value;
+        series.count++;
+        if (exemplar) {
+            series.exemplars = series.exemplars || [];
+            series.exemplars[index === -1 ? buckets.length : index] = { labels: exemplar, value, timestamp: Date.now() / 1000 };
+        }
+        this.collectors.forEach(collector => collector.histogram(name, value, labels, exemplar));
+    }
+
+    // Forwards observations to another MetricsCollector; returns a function that stops it
+    use(collector) {
+        this.collectors.add(collector);
+        for (const family of this.families.values()) {
+            if (typeof collector.describe === 'function') collector.describe(family.name, family.type, family.help, family.buckets);
+        }
+        return () => this.collectors.delete(collector);
+    }
+
+    // Plain data, safe to JSON.stringify; histogram buckets are cumulative like Prometheus'
+    snapshot() {
+        return [...this.families.values()].map(family => ({
+            name: family.name,
+            type: family.type,
+            help: family.help,
+            series: [...family.series.values()].map(series => {
+                if (family.type !== 'histogram') {
+                    return { labels: { ...series.labels }, value: series.value, ...(series.exemplar ? { exemplar: series.exemplar } : {}) };
+                }
+                let cumulative = 0;
+                const buckets = [...family.buckets, Infinity].map((le, i) => ({
+                    le,
+                    count: le === Infinity ? series.count : cumulative += series.counts[i],
+                    ...(series.exemplars && series.exemplars[i] ? { exemplar: series.exemplars[i] } : {})
+                }));
+                return { labels: { ...series.labels }, buckets, sum: series.sum, count: series.count };
+            })
+        }));
+    }
+
+    // Prometheus text exposition format 0.0.4
+    toPrometheus() {
+        return this.render(false);
+    }
+
+    // OpenMetrics 1.0 text format: counter families drop the _total suffix and the body ends with # EOF
+    toOpenMetrics() {
+        return `${this.render(true)}# EOF\n`;
+    }
+
+    // Exemplars exist only in OpenMetrics: ` # {trace_id="..."} value timestamp`
+    render(openMetrics) {
+        const exemplarOf = (sample) => (openMetrics && sample.exemplar
+            ? ` # ${formatLabels(sample.exemplar.labels)} ${sample.exemplar.value} ${sample.exemplar.timestamp}`
+            : '');
+        const lines = [];
+        for (const family of this.snapshot()) {
+            const name = metricName(family.name);
+            const familyName = openMetrics && family.type === 'counter' ? name.replace(/_total$/, '') : name;
+            if (family.help) lines.push(`# HELP ${familyName} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${familyName} ${family.type}`);
+            for (const series of family.series) {
+                if (family.type !== 'histogram') {
+                    const sample = family.type === 'counter' && openMetrics ? `${familyName}_total` : name;
+                    lines.push(`${sample}${formatLabels(series.labels)} ${formatValue(series.value)}${family.type === 'counter' ? exemplarOf(series) : ''}`);
+                    continue;
+                }
+                for (const bucket of series.buckets) {
+                    lines.push(`${name}_bucket${formatLabels(series.labels, { le: formatValue(bucket.le) })} ${bucket.count}${exemplarOf(bucket)}`);
+                }
+                lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+            }
+        }
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+
+    clear() {
+        this.families.clear();
+    }
+}
+
+export const metricsRegistry = new MetricsRegistry();
+
+// Log-scale histogram: bucket i holds durations up to LATENCY_MIN * LATENCY_GROWTH^i, so
+// percentiles are within 2% and memory depends on the range of values, not their number
+const LATENCY_MIN = 0.001;
+const LATENCY_GROWTH = 1.02;
+
+class LatencyHistogram {
+    constructor() {
+        this.counts = new Map();
+        this.count = 0;
+        this.sum = 0;
+        this.max = 0;
+    }
+
+    record(value) {
+        const index = value <= LATENCY_MIN ? 0 : Math.ceil(Math.log(value / LATENCY_MIN) / Math.log(LATENCY_GROWTH));
+        this.counts.set(index, (this.counts.get(index) || 0) + 1);
+        this.count++;
+        this.sum += value;
+        this.max = Math.max(this.max, value);
+    }
+
+    merge(other) {
+        for (const [index, count] of other.counts) this.counts.set(index, (this.counts.get(index) || 0) + count);
+        this.count += other.count;
+        this.sum += other.sum;
+        this.max = Math.max(this.max, other.max);
+        return this;
+    }
+
+    percentile(q) {
+        if (this.count === 0) return 0;
+        const rank = Math.ceil(q * this.count);
+        let seen = 0;
+        for (const index of [...this.counts.keys()].sort((a, b) => a - b)) {
+            seen += this.counts.get(index);
+            if (seen >= rank) return Math.min(LATENCY_MIN * LATENCY_GROWTH ** index, this.max);
+        }
+        return this.max;
+    }
+
+    summary() {
+        return {
+            p50: this.percentile(0.5),
+            p90: this.percentile(0.9),
+            p95: this.percentile(0.95),
+            p99: this.percentile(0.99),
+            max: this.max
+        };
+    }
+}
+
+// Calls, errors and latencies in 10-second slots covering the last 15 minutes
+const LATENCY_SLOT_MS = 10000;
+const LATENCY_WINDOWS = { '1m': 60000, '5m': 300000, '15m': 900000 };
+
+class LatencyWindows {
+    constructor() {
+        this.slots = [];
+    }
+
+    record(duration, failed, now = Date.now()) {
+        const start = now - (now % LATENCY_SLOT_MS);
+        let slot = this.slots[this.slots.length - 1];
+        if (!slot || slot.start !== start) {
+            slot = { start, calls: 0, errors: 0, latency: new LatencyHistogram() };
+            this.slots.push(slot);
+            while (this.slots[0].start <= now - LATENCY_WINDOWS['15m']) this.slots.shift();
+        }
+        slot.calls++;
+        if (failed) slot.errors++;
+        if (duration !== undefined) slot.latency.record(duration);
+    }
+
+    stats(now = Date.now()) {
+        const result = {};
+        for (const [name, span] of Object.entries(LATENCY_WINDOWS)) {
+            const slots = this.slots.filter(slot => slot.start > now - span);
+            const latency = slots.reduce((merged, slot) => merged.merge(slot.latency), new LatencyHistogram());
+            const calls = slots.reduce((sum, slot) => sum + slot.calls, 0);
+            const errors = slots.reduce((sum, slot) => sum + slot.errors, 0);
+            result[name] = {
+                calls,
+                errors,
+                averageDuration: latency.count > 0 ? latency.sum / latency.count : 0,
+                successRate: calls > 0 ? ((calls - errors) / calls) * 100 : 100,
+                ...latency.summary()
+            };
+        }
+        return result;
+    }
+}
+
 // ===== 16. METRICS DECORATOR =====
+// Besides the private counters behind getMetrics(), each call is reported to `registry`
+// (metricsRegistry by default, or any MetricsCollector; false to opt out) as
+// <name>_calls_total, <name>_errors_total and a <name>_duration_seconds metric whose kind
+// follows `type`: a running total for 'counter', the last duration for 'gauge', or a
+// histogram over `buckets` (seconds).
 export const metrics = createUniversalDecorator('metrics',
     (originalMethod, propertyKey, options = {}) => {
         const config = { 
@@ -584,65 +2828,101 @@ export const metrics = createUniversalDecorator('metrics',
             name: propertyKey || 'anonymous', 
             labels: {}, 
             type: 'counter',
+            registry: metricsRegistry,
             ...options 
         };
-        
+        const collector = config.registry || null;
+        const baseName = metricName(config.name);
+        const durationName = config.type === 'counter' ? `${baseName}_duration_seconds_total` : `${baseName}_duration_seconds`;
+        if (collector && typeof collector.describe === 'function') {
+            if (config.track.includes('calls')) collector.describe(`${baseName}_calls_total`, 'counter', `Calls to ${config.name}`);
+            if (config.track.includes('errors')) collector.describe(`${baseName}_errors_total`, 'counter', `Failed calls to ${config.name}`);
+            if (config.track.includes('duration')) {
+                collector.describe(durationName, config.type, `Duration of ${config.name} in seconds`, config.buckets);
+            }
+        }
+
+        // The active trace, if any, is attached as an exemplar
+        function report(duration, error, traceIds) {
+            const exemplar = traceIds ? { trace_id: traceIds.traceId, span_id: traceIds.spanId } : undefined;
+            if (config.track.includes('calls')) collector.increment(`${baseName}_calls_total`, 1, config.labels, exemplar);
+            if (error && config.track.includes('errors')) collector.increment(`${baseName}_errors_total`, 1, config.labels, exemplar);
+            if (config.track.includes('duration') && duration !== undefined) {
+                const seconds = duration / 1000;
+                if (config.type === 'histogram') collector.histogram(durationName, seconds, config.labels, exemplar);
+                else if (config.type === 'gauge') collector.gauge(durationName, seconds, config.labels);
+                else collector.increment(durationName, seconds, config.labels, exemplar);
+            }
+        }
+
         const metricsData = {
             calls: 0,
             errors: 0,
             totalDuration: 0,
-            lastCalled: null,
-            durations: []
+            lastCalled: null
         };
-        
-        function updateMetrics(duration, error = null) {
+        let latency = new LatencyHistogram();
+        let windows = new LatencyWindows();
+
+        function updateMetrics(duration, error = null, traceIds = null) {
             metricsData.lastCalled = new Date();
             
             if (config.track.includes('calls')) {
                 metricsData.calls++;
             }
             
-            if (config.track.includes('duration') && duration !== undefined) {
+            const tracksDuration = config.track.includes('duration') && duration !== undefined;
+            if (tracksDuration) {
                 metricsData.totalDuration += duration;
-                metricsData.durations.push(duration);
+                latency.record(duration);
             }
             
             if (error && config.track.includes('errors')) {
                 metricsData.errors++;
             }
+
+            windows.record(tracksDuration ? duration : undefined, Boolean(error && config.track.includes('errors')));
+
+            if (collector) report(duration, error, traceIds);
         }
-        
+
         function wrappedMethod(...args) {
             const startTime = performance.now();
-            
-            try {
-                const result = originalMethod.apply(this, args);
-                const duration = performance.now() - startTime;
-                updateMetrics(duration);
-                return result;
-            } catch (error) {
-                const duration = performance.now() - startTime;
-                updateMetrics(duration, error);
-                throw error;
-            }
+            const traceIds = activeTraceIds(config.tracer);
+
+            return handleOutcome(
+                () => originalMethod.apply(this, args),
+                (result) => {
+                    updateMetrics(performance.now() - startTime, null, traceIds);
+                    return result;
+                },
+                (error) => {
+                    updateMetrics(performance.now() - startTime, error, traceIds);
+                    throw error;
+                }
+            );
         }
-        
+
+        // Lifetime totals and percentiles, plus the same figures for the last 1, 5 and 15 minutes
         wrappedMethod.getMetrics = () => ({
             ...metricsData,
             averageDuration: metricsData.calls > 0 ? metricsData.totalDuration / metricsData.calls : 0,
-            successRate: metricsData.calls > 0 ? ((metricsData.calls - metricsData.errors) / metricsData.calls) * 100 : 100
+            successRate: metricsData.calls > 0 ? ((metricsData.calls - metricsData.errors) / metricsData.calls) * 100 : 100,
+            percentiles: latency.summary(),
+            windows: windows.stats()
         });
-        
+
         wrappedMethod.clearMetrics = () => {
             Object.assign(metricsData, {
                 calls: 0,
                 errors: 0,
                 totalDuration: 0,
-                lastCalled: null,
-                durations: []
+                lastCalled: null
             });
+            latency = new LatencyHistogram();
+            windows = new LatencyWindows();
         };
-        
+
         return wrappedMethod;
     }
 );
@@ -651,24 +2931,30 @@ export const metrics = createUniversalDecorator('metrics',
 export const super_matrix = createUniversalDecorator('super_matrix',
     (originalMethod, propertyKey, options = {}) => {
         let wrappedMethod = originalMethod;
-        
+
         // Apply decorators in order, preserving special functions
         const decoratorOrder = [
+            // Innermost: it passes index candidates as an extra argument (or, with narrow, in place of the collection)
+            { key: 'search', decorator: search_optimize },
             { key: 'validate', decorator: validate },
             { key: 'rateLimit', decorator: rate_limit },
             { key: 'protect', decorator: protect },
             { key: 'varGuard', decorator: var_guard },
             { key: 'timeLimit', decorator: time_limit },
+            { key: 'bulkhead', decorator: bulkhead },
             { key: 'asyncRetry', decorator: async_retry },
+            { key: 'circuitBreaker', decorator: circuit_breaker },
             { key: 'repeat', decorator: repeat },
             { key: 'throttle', decorator: throttle },
             { key: 'debounce', decorator: debounce },
             { key: 'immutable', decorator: immutable },
             { key: 'inherit', decorator: inheritFrom },
             { key: 'log', decorator: logExecution },
-            { key: 'metrics', decorator: metrics }
+            { key: 'metrics', decorator: metrics },
+            // Outside log and metrics so both see the span
+            { key: 'trace', decorator: trace }
         ];
-        
+
         // Apply cache last to preserve cache_info function
         decoratorOrder.forEach(({ key, decorator }) => {
             const config = options[key];
@@ -678,19 +2964,567 @@ export const super_matrix = createUniversalDecorator('super_matrix',
                 wrappedMethod = result.value || result;
             }
         });
-        
+
         // Apply cache decorator last if specified
         if (options.cache !== undefined && options.cache !== false) {
-            const config = options.cache;
-            const decoratorFn = typeof config === 'string' ? super_cache(config) : super_cache(config.type || 'balanced', config.maxsize);
+            const decoratorFn = super_cache(options.cache);
             const result = decoratorFn(wrappedMethod, propertyKey, { value: wrappedMethod });
             wrappedMethod = result.value || result;
         }
-        
+
         return wrappedMethod;
     }
 );
 
+// ===== 18. CIRCUIT_BREAKER DECORATOR =====
+export const circuit_breaker = createUniversalDecorator('circuit_breaker',
+    (originalMethod, propertyKey, options = {}) => {
+        const config = {
+            failureThreshold: 5,    // consecutive failures that open the circuit
+            failureRate: null,      // or a 0..1 ratio of failed calls within `window`
+            minimumCalls: 10,       // calls required in the window before failureRate applies
+            window: 60000,
+            cooldown: 30000,        // time spent open before trial calls are let through
+            halfOpenMax: 1,         // trial calls that must all succeed to close again
+            isFailure: () => true,
+            onStateChange: null,
+            ...options
+        };
+        const listeners = new Set(config.onStateChange ? [config.onStateChange] : []);
+
+        // Rolling window as ten buckets of calls/failures
+        const bucketSize = Math.max(1, Math.ceil(config.window / 10));
+        let buckets = [];
+
+        const circuit = {
+            state: 'closed',
+            consecutiveFailures: 0,
+            openedAt: 0,
+            forced: false,
+            trials: 0,
+            trialSuccesses: 0
+        };
+
+        function windowCounts(now = Date.now()) {
+            buckets = buckets.filter(bucket => bucket.start > now - config.window);
+            return buckets.reduce((totals, bucket) => ({
+                calls: totals.calls + bucket.calls,
+                failures: totals.failures + bucket.failures
+            }), { calls: 0, failures: 0 });
+        }
+
+        function record(failed) {
+            const now = Date.now();
+            const start = now - (now % bucketSize);
+            let bucket = buckets[buckets.length - 1];
+            if (!bucket || bucket.start !== start) {
+                // Pruned here too: windowCounts() only runs for failureRate and circuitStats()
+                while (buckets.length > 0 && buckets[0].start <= now - config.window) buckets.shift();
+                bucket = { start, calls: 0, failures: 0 };
+                buckets.push(bucket);
+            }
+            bucket.calls++;
+            if (failed) bucket.failures++;
+        }
+
+        function transition(state, forced = false) {
+            const previous = circuit.state;
+            circuit.forced = forced;
+            circuit.trials = circuit.trialSuccesses = 0;
+            if (state === 'open') circuit.openedAt = Date.now();
+            if (state === 'closed') {
+                circuit.consecutiveFailures = 0;
+                buckets = [];
+            }
+            if (state === previous) return;
+            circuit.state = state;
+            listeners.forEach(listener => {
+                try {
+                    listener(state, previous);
+                } catch (error) {
+                    universalLog.warn(`Circuit listener for ${propertyKey} failed:`, error);
+                }
+            });
+        }
+
+        function tripped() {
+            if (circuit.consecutiveFailures >= config.failureThreshold) return true;
+            if (config.failureRate == null) return false;
+            const { calls, failures } = windowCounts();
+            return calls >= config.minimumCalls && failures / calls >= config.failureRate;
+        }
+
+        function onSuccess(trial) {
+            record(false);
+            circuit.consecutiveFailures = 0;
+            if (trial && circuit.state === 'half-open' && ++circuit.trialSuccesses >= config.halfOpenMax) {
+                transition('closed');
+            }
+        }
+
+        function onFailure(error, trial) {
+            if (!config.isFailure(error)) {
+                onSuccess(trial);
+                return;
+            }
+            record(true);
+            circuit.consecutiveFailures++;
+            if (trial ? circuit.state === 'half-open' : circuit.state === 'closed' && tripped()) {
+                transition('open');
+            }
+        }
+
+        // Moves open -> half-open once the cooldown has passed (never while forced open)
+        function currentState() {
+            if (circuit.state === 'open' && !circuit.forced && Date.now() - circuit.openedAt >= config.cooldown) {
+                transition('half-open');
+            }
+            return circuit.state;
+        }
+
+        // Once the method has returned a promise, rejections keep callers' promise chains intact
+        let resolvesAsync = false;
+
+        function rejectCall() {
+            const retryAfter = circuit.state === 'open' && !circuit.forced
+                ? Math.max(0, config.cooldown - (Date.now() - circuit.openedAt))
+                : undefined;
+            const error = new CircuitOpenError(`Circuit for ${propertyKey} is ${circuit.state}`, retryAfter);
+            if (resolvesAsync) return Promise.reject(error);
+            throw error;
+        }
+
+        function breakerMethod(...args) {
+            const state = currentState();
+            if (state === 'open') return rejectCall();
+            const trial = state === 'half-open';
+            if (trial) {
+                if (circuit.trials >= config.halfOpenMax) return rejectCall();
+                circuit.trials++;
+            }
+
+            let result;
+            try {
+                result = originalMethod.apply(this, args);
+            } catch (error) {
+                onFailure(error, trial);
+                throw error;
+            }
+            if (!isThenable(result)) {
+                onSuccess(trial);
+                return result;
+            }
+            resolvesAsync = true;
+            return Promise.resolve(result).then(
+                value => {
+                    onSuccess(trial);
+                    return value;
+                },
+                error => {
+                    onFailure(error, trial);
+                    throw error;
+                }
+            );
+        }
+
+        breakerMethod.circuitState = () => currentState();
+        breakerMethod.circuitStats = () => {
+            const { calls, failures } = windowCounts();
+            return {
+                state: currentState(),
+                consecutiveFailures: circuit.consecutiveFailures,
+                calls,
+                failures,
+                failureRate: calls > 0 ? failures / calls : 0,
+                openedAt: circuit.state === 'closed' ? null : circuit.openedAt
+            };
+        };
+        // Manual override: open() holds the circuit open until close() is called
+        breakerMethod.open = () => transition('open', true);
+        breakerMethod.close = () => transition('closed');
+        breakerMethod.onStateChange = (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        };
+
+        return breakerMethod;
+    }
+);
+
+// ===== 19. BULKHEAD DECORATOR =====
+export const bulkhead = createUniversalDecorator('bulkhead',
+    (originalMethod, propertyKey, options = {}) => {
+        const config = {
+            concurrency: 10,
+            queueSize: Infinity,
+            queueTimeout: 0,        // 0 = queued calls wait indefinitely
+            priority: null,         // (...args) => number; higher runs first, FIFO among equals
+            per: null,              // 'instance' or a key strategy like rate_limit's `per`
+            ...options
+        };
+        const resolveKey = config.per && config.per !== 'instance' ? createKeyResolver(config.per) : null;
+        const keyedPartitions = new Map();
+        const instancePartitions = new WeakMap();
+        const globalPartition = { active: 0, queue: [] };
+        const totals = { active: 0, queued: 0 };
+
+        function partitionFor(thisArg, args) {
+            if (config.per === 'instance' && thisArg !== null && typeof thisArg === 'object') {
+                if (!instancePartitions.has(thisArg)) instancePartitions.set(thisArg, { active: 0, queue: [] });
+                return instancePartitions.get(thisArg);
+            }
+            if (!resolveKey) return globalPartition;
+            const key = resolveKey(args);
+            if (!keyedPartitions.has(key)) keyedPartitions.set(key, { key, active: 0, queue: [] });
+            return keyedPartitions.get(key);
+        }
+
+        function run(partition, task) {
+            partition.active++;
+            totals.active++;
+            let result;
+            try {
+                result = Promise.resolve(task.call());
+            } catch (error) {
+                result = Promise.reject(error);
+            }
+            result.then(task.resolve, task.reject).then(() => {
+                partition.active--;
+                totals.active--;
+                const next = partition.queue.shift();
+                if (next) {
+                    totals.queued--;
+                    clearTimeout(next.timer);
+                    run(partition, next);
+                } else if (partition.key !== undefined && partition.active === 0) {
+                    keyedPartitions.delete(partition.key);
+                }
+            });
+        }
+
+        // Keeps the queue ordered by priority (descending), then arrival
+        function enqueue(partition, task) {
+            const { queue } = partition;
+            let index = queue.length;
+            while (index > 0 && queue[index - 1].priority < task.priority) index--;
+            queue.splice(index, 0, task);
+            totals.queued++;
+            if (config.queueTimeout > 0) {
+                task.timer = setTimeout(() => {
+                    const position = queue.indexOf(task);
+                    if (position === -1) return;
+                    queue.splice(position, 1);
+                    totals.queued--;
+                    task.reject(new BulkheadRejectedError(
+                        `Method ${propertyKey} waited longer than ${config.queueTimeout}ms for a slot`, 'queue-timeout'
+                    ));
+                }, config.queueTimeout);
+            }
+        }
+
+        function bulkheadMethod(...args) {
+            const partition = partitionFor(this, args);
+            return new Promise((resolve, reject) => {
+                const task = {
+                    call: () => originalMethod.apply(this, args),
+                    resolve,
+                    reject,
+                    priority: typeof config.priority === 'function' ? config.priority(...args) : 0
+                };
+                if (partition.active < config.concurrency) {
+                    run(partition, task);
+                } else if (partition.queue.length >= config.queueSize) {
+                    reject(new BulkheadRejectedError(`Method ${propertyKey} rejected: bulkhead queue is full`, 'queue-full'));
+                } else {
+                    enqueue(partition, task);
+                }
+            });
+        }
+
+        // Live counts for one partition (an instance or a resolved key), or totals when omitted
+        bulkheadMethod.bulkheadStats = (partition) => {
+            if (partition === undefined) return { ...totals };
+            const found = typeof partition === 'object' ? instancePartitions.get(partition) : keyedPartitions.get(partition);
+            return found ? { active: found.active, queued: found.queue.length } : { active: 0, queued: 0 };
+        };
+        Object.defineProperties(bulkheadMethod, {
+            active: { get: () => totals.active },
+            queued: { get: () => totals.queued }
+        });
+
+        return bulkheadMethod;
+    }
+);
+
+// ===== 20. TRACE DECORATOR =====
+const randomHex = (bytes) => {
+    const values = new Uint8Array(bytes);
+    if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+        crypto.getRandomValues(values);
+    } else {
+        for (let i = 0; i < bytes; i++) values[i] = Math.floor(Math.random() * 256);
+    }
+    return [...values].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Epoch milliseconds with sub-millisecond precision where the platform has it
+const epochNow = () => (typeof performance !== 'undefined' && performance.timeOrigin
+    ? performance.timeOrigin + performance.now()
+    : Date.now());
+
+export class Span {
+    constructor(name, parent, attributes = {}) {
+        this.name = name;
+        this.traceId = parent ? parent.traceId : randomHex(16);
+        this.spanId = randomHex(8);
+        this.parentSpanId = parent ? parent.spanId : null;
+        this.startTime = epochNow();
+        this.endTime = null;
+        this.attributes = { ...attributes };
+        this.events = [];
+        this.status = { code: 'UNSET' };
+    }
+
+    setAttribute(key, value) {
+        this.attributes[key] = value;
+        return this;
+    }
+
+    addEvent(name, attributes = {}) {
+        this.events.push({ name, time: epochNow(), attributes });
+        return this;
+    }
+
+    // Follows the OpenTelemetry semantic conventions for exception events
+    recordException(error) {
+        return this.addEvent('exception', {
+            'exception.type': error && error.name ? error.name : typeof error,
+            'exception.message': error && error.message !== undefined ? error.message : String(error),
+            ...(error && error.stack ? { 'exception.stacktrace': error.stack } : {})
+        });
+    }
+
+    setStatus(code, message) {
+        this.status = message === undefined ? { code } : { code, message };
+        return this;
+    }
+
+    end() {
+        if (this.endTime === null) this.endTime = epochNow();
+        return this;
+    }
+
+    get durationMs() {
+        return this.endTime === null ? null : this.endTime - this.startTime;
+    }
+}
+
+let builtinsSettled = !needsPreload;
+nodeModulesReady.then(() => { builtinsSettled = true; });
+let warnedSyncContext = false;
+
+// Where the active span lives. AsyncLocalStorage (Node) follows it through awaits and timers;
+// elsewhere a synchronous scope is all there is, so async children must name their parent.
+// A fallback picked while async_hooks is still loading (native ESM) is marked for a retry.
+const createSpanContext = () => {
+    try {
+        const { AsyncLocalStorage } = nodeModule('async_hooks');
+        const storage = new AsyncLocalStorage();
+        return { propagatesAsync: true, active: () => storage.getStore(), run: (span, fn) => storage.run(span, fn) };
+    } catch (error) {
+        if (ENV.isNode && builtinsSettled && !warnedSyncContext) {
+            warnedSyncContext = true;
+            universalLog.warn('AsyncLocalStorage is unavailable: spans only propagate synchronously, pass `parent` for async children');
+        }
+        let current;
+        return {
+            propagatesAsync: false,
+            retry: !builtinsSettled,
+            active: () => current,
+            run: (span, fn) => {
+                const previous = current;
+                current = span;
+                try {
+                    return fn();
+                } finally {
+                    current = previous;
+                }
+            }
+        };
+    }
+};
+
+/**
+ * Starts spans, tracks the active one and hands finished spans to the exporters. The shared
+ * `tracer` is what @trace, logExecution and metrics use unless told otherwise.
+ */
+export class Tracer {
+    constructor(options = {}) {
+        this.context = null;
+        this.exporters = new Set(options.exporters || []);
+    }
+
+    get spanContext() {
+        // A provisional fallback is replaced as soon as no span is open in it
+        if (!this.context || (this.context.retry && !this.context.active())) this.context = createSpanContext();
+        return this.context;
+    }
+
+    // Whether the active span survives awaits and timers (false outside Node)
+    get propagatesAsync() {
+        return this.spanContext.propagatesAsync;
+    }
+
+    activeSpan() {
+        return this.spanContext.active();
+    }
+
+    startSpan(name, options = {}) {
+        const parent = options.parent === undefined ? this.activeSpan() : options.parent;
+        return new Span(name, parent || null, options.attributes);
+    }
+
+    // Runs fn with span active; with AsyncLocalStorage that includes everything fn awaits
+    withSpan(span, fn) {
+        return this.spanContext.run(span, fn);
+    }
+
+    // Returns a function that removes the exporter again
+    addExporter(exporter) {
+        this.exporters.add(exporter);
+        return () => this.exporters.delete(exporter);
+    }
+
+    finish(span) {
+        span.end();
+        for (const exporter of this.exporters) {
+            try {
+                const result = exporter.export([span]);
+                if (isThenable(result)) result.then(undefined, error => universalLog.warn('Span export failed:', error));
+            } catch (error) {
+                universalLog.warn('Span export failed:', error);
+            }
+        }
+    }
+}
+
+export const tracer = new Tracer();
+
+// IDs of the active span, for log records and metric exemplars; `false` opts out
+const activeTraceIds = (activeTracer = tracer) => {
+    const span = activeTracer ? activeTracer.activeSpan() : undefined;
+    return span ? { traceId: span.traceId, spanId: span.spanId } : null;
+};
+
+export class InMemorySpanExporter {
+    constructor() {
+        this.spans = [];
+    }
+
+    export(spans) {
+        this.spans.push(...spans);
+    }
+
+    getFinishedSpans() {
+        return [...this.spans];
+    }
+
+    reset() {
+        this.spans = [];
+    }
+}
+
+const otlpStatusCodes = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const otlpValue = (value) => {
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (Number.isInteger(value)) return { intValue: String(value) };
+    if (typeof value === 'number') return { doubleValue: value };
+    if (Array.isArray(value)) return { arrayValue: { values: value.map(otlpValue) } };
+    return { stringValue: typeof value === 'string' ? value : JSON.stringify(value) };
+};
+
+const otlpAttributes = (attributes) =>
+    Object.entries(attributes).map(([key, value]) => ({ key, value: otlpValue(value) }));
+
+// OTLP wants nanoseconds as decimal strings, beyond what a double holds exactly, so the whole
+// milliseconds and the sub-millisecond part are formatted separately
+const otlpNanos = (ms) => `${Math.floor(ms)}${String(Math.min(999999, Math.round((ms % 1) * 1e6))).padStart(6, '0')}`;
+
+/**
+ * Appends finished spans to a file as OTLP/JSON lines (one ExportTraceServiceRequest per line),
+ * the format read by the OpenTelemetry Collector's otlpjsonfile receiver.
+ */
+export class OtlpJsonFileExporter {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.serviceName = options.serviceName || 'unknown_service';
+        this.fs = options.fs || nodeModule('fs');
+    }
+
+    export(spans) {
+        const request = {
+            resourceSpans: [{
+                resource: { attributes: otlpAttributes({ 'service.name': this.serviceName }) },
+                scopeSpans: [{
+                    scope: { name: 'universal-decorators' },
+                    spans: spans.map(span => ({
+                        traceId: span.traceId,
+                        spanId: span.spanId,
+                        ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+                        name: span.name,
+                        kind: 1,
+                        startTimeUnixNano: otlpNanos(span.startTime),
+                        endTimeUnixNano: otlpNanos(span.endTime),
+                        attributes: otlpAttributes(span.attributes),
+                        events: span.events.map(event => ({
+                            timeUnixNano: otlpNanos(event.time),
+                            name: event.name,
+                            attributes: otlpAttributes(event.attributes)
+                        })),
+                        status: {
+                            code: otlpStatusCodes[span.status.code],
+                            ...(span.status.message ? { message: span.status.message } : {})
+                        }
+                    }))
+                }]
+            }]
+        };
+        this.fs.appendFileSync(this.filePath, `${JSON.stringify(request)}\n`);
+    }
+}
+
+export const trace = createUniversalDecorator('trace',
+    (originalMethod, propertyKey, nameOrOptions = {}, options = {}) => {
+        const config = typeof nameOrOptions === 'string'
+            ? { ...options, name: nameOrOptions }
+            : { name: String(propertyKey || originalMethod.name || 'anonymous'), ...nameOrOptions };
+        const activeTracer = config.tracer || tracer;
+
+        return function tracedMethod(...args) {
+            // Explicit parents cover platforms where the context does not survive an await
+            const parent = config.parent ? config.parent(...args) : undefined;
+            const attributes = typeof config.attributes === 'function' ? config.attributes(...args) : config.attributes;
+            const span = activeTracer.startSpan(config.name, { parent, attributes });
+
+            return activeTracer.withSpan(span, () => handleOutcome(
+                () => originalMethod.apply(this, args),
+                (result) => {
+                    span.setStatus('OK');
+                    activeTracer.finish(span);
+                    return result;
+                },
+                (error) => {
+                    span.recordException(error);
+                    span.setStatus('ERROR', error && error.message);
+                    activeTracer.finish(span);
+                    throw error;
+                }
+            ));
+        };
+    }
+);
+
 // ===== UTILITY FUNCTIONS =====
 export const decorate = (fn, ...decorators) => {
     return decorators.reduce((decorated, decorator) => decorator(decorated), fn);
@@ -698,8 +3532,8 @@ export const decorate = (fn, ...decorators) => {
 
 // Function Wrapper versions  @ syntax
 export const wrapFunction = {
-    cache: (fn, type = 'balanced', maxsize = 128) => {
-        const decorator = super_cache(type, maxsize);
+    cache: (fn, type = 'balanced', maxsize = 128, options = {}) => {
+        const decorator = super_cache(type, maxsize, options);
         const result = decorator(fn, 'wrapped', { value: fn });
         return result.value || result;
     },
@@ -713,13 +3547,13 @@ export const wrapFunction = {
         const result = decorator(fn, 'wrapped', { value: fn });
         return result.value || result;
     },
-    debounce: (fn, delay = 300) => {
-        const decorator = debounce(delay);
+    debounce: (fn, delay = 300, options) => {
+        const decorator = debounce(delay, options);
         const result = decorator(fn, 'wrapped', { value: fn });
         return result.value || result;
     },
-    throttle: (fn, interval = 1000) => {
-        const decorator = throttle(interval);
+    throttle: (fn, interval = 1000, options) => {
+        const decorator = throttle(interval, options);
         const result = decorator(fn, 'wrapped', { value: fn });
         return result.value || result;
     }
@@ -729,8 +3563,10 @@ export const wrapFunction = {
 const decorators = {
     super_cache, protect, logExecution, repeat, loop_optimize, search_optimize,
     var_guard, inheritFrom, immutable, time_limit, debounce, throttle,
-    async_retry, validate, rate_limit, metrics, super_matrix,
-    UniversalLRU, universalLog, fastKey, ENV, wrapFunction, decorate
+    async_retry, validate, rate_limit, metrics, super_matrix, circuit_breaker, bulkhead, trace,
+    UniversalLRU, FileStore, CacheRegistry, cacheRegistry, universalLog, fastKey, stableKey, identityKey, parseDuration, ENV, nodeModulesReady,
+    MemoryRateLimitStore, FileLockRateLimitStore, MetricsRegistry, metricsRegistry, createPrettyTransport, createJsonTransport,
+    Tracer, tracer, Span, InMemorySpanExporter, OtlpJsonFileExporter, wrapFunction, decorate
 };
 
 export default decorators;
\ No newline at end of file